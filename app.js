@@ -1,10 +1,24 @@
-const MODEL_MAX_TOKENS = {
-  'mercury': 50000,
-  'mercury-2': 50000,
-  'mercury-coder': 50000,
-};
+// Models the default provider offers, from its /models listing
+let settingsModels = [];
+const DEFAULT_MAX_OUTPUT_TOKENS = 50000;
 function getMaxTokensForModel(model) {
-  return MODEL_MAX_TOKENS[model] || 50000;
+  return settingsModels.find(m => m.id === model)?.maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS;
+}
+
+// Fills a model menu; a saved model the provider doesn't list stays selectable
+function fillModelOptions(select, models, selected) {
+  select.innerHTML = '';
+  const options = [...models];
+  if (selected && !options.some(m => m.id === selected)) {
+    options.push({ id: selected, name: `${selected} (not listed)` });
+  }
+  for (const model of options) {
+    const option = document.createElement('option');
+    option.value = model.id;
+    option.textContent = model.name;
+    select.appendChild(option);
+  }
+  if (selected) select.value = selected;
 }
 function updateReasoningToggleVisibility(model) {
   const wrap = document.getElementById('reasoning-toggle-wrap');
@@ -21,6 +35,48 @@ function applyMaxTokensForModel(model) {
   if (parseInt(input.value) > max) input.value = max;
 }
 
+// Sampling fields appear in Settings (prefix 'default') and in the per-chat
+// modal (prefix 'chat'); a blank field means "not set"
+const SAMPLING_NUMBER_FIELDS = [
+  ['temperature', 'temperature', 'Temperature', 0, 2],
+  ['topP', 'top-p', 'Top P', 0, 1],
+  ['presencePenalty', 'presence-penalty', 'Presence penalty', -2, 2],
+  ['frequencyPenalty', 'frequency-penalty', 'Frequency penalty', -2, 2]
+];
+
+function fillSamplingFields(prefix, params = {}) {
+  for (const [field, id] of SAMPLING_NUMBER_FIELDS) {
+    document.getElementById(`${prefix}-${id}`).value = params[field] ?? '';
+  }
+  document.getElementById(`${prefix}-seed`).value = params.seed ?? '';
+  document.getElementById(`${prefix}-reasoning-effort`).value = params.reasoningEffort || '';
+  document.getElementById(`${prefix}-stop`).value = (params.stop || []).map(stop => stop.replace(/\n/g, '\\n')).join('\n');
+}
+
+// Returns { params } or { error } describing the first invalid field
+function readSamplingFields(prefix) {
+  const params = {};
+  for (const [field, id, label, min, max] of SAMPLING_NUMBER_FIELDS) {
+    const raw = document.getElementById(`${prefix}-${id}`).value.trim();
+    if (!raw) continue;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) return { error: `${label} must be between ${min} and ${max}.` };
+    params[field] = value;
+  }
+  const seed = document.getElementById(`${prefix}-seed`).value.trim();
+  if (seed) {
+    const value = Number(seed);
+    if (!Number.isSafeInteger(value) || value < 0) return { error: 'Seed must be a whole number of 0 or more.' };
+    params.seed = value;
+  }
+  const stop = document.getElementById(`${prefix}-stop`).value.split('\n').filter(line => line).map(line => line.replace(/\\n/g, '\n'));
+  if (stop.length > 4) return { error: 'Use at most 4 stop sequences.' };
+  if (stop.length) params.stop = stop;
+  const reasoningEffort = document.getElementById(`${prefix}-reasoning-effort`).value;
+  if (reasoningEffort) params.reasoningEffort = reasoningEffort;
+  return { params };
+}
+
 // Sidebar toggle functionality
 const hamburgerBtn = document.getElementById('hamburger-btn');
 const sidebar = document.getElementById('sidebar');
@@ -62,13 +118,13 @@ document.querySelectorAll('.sidebar-item').forEach(item => {
         const ws = document.getElementById('welcome-state');
         if (ws) ws.style.display = '';
         document.dispatchEvent(new CustomEvent('clearConversationHistory'));
-        if (window.electronAPI) {
-          window.electronAPI.newChat();
-        }
         setTimeout(() => {
           document.dispatchEvent(new CustomEvent('refreshRecentChats'));
         }, 100);
         break;
+      case 'code':
+        document.dispatchEvent(new CustomEvent('openCodeWorkspace'));
+        break;
       case 'recents':
         // TODO: Show recent chats
         break;
@@ -97,24 +153,34 @@ clearChatBtn.addEventListener('click', () => {
   const ws = document.getElementById('welcome-state');
   if (ws) ws.style.display = '';
   document.dispatchEvent(new CustomEvent('clearConversationHistory'));
-  if (window.electronAPI) {
-    window.electronAPI.newChat();
-  }
   setTimeout(() => {
     document.dispatchEvent(new CustomEvent('refreshRecentChats'));
   }, 100);
 });
 
+// Compare mode's provider/model pairs are chosen from the composer; the
+// settings modal only keeps them when it saves
+let savedCompareTargets = [];
+
 // Settings modal functionality
 settingsBtn.addEventListener('click', async () => {
   // Load settings when opening modal
   if (window.electronAPI) {
     try {
       const settings = await window.electronAPI.loadSettings();
-      document.getElementById('api-key-input').value = settings.apiKey || '';
-      document.getElementById('openrouter-key-input').value = settings.openRouterApiKey || '';
+      showStoredKey('api-key-input', settings.apiKeyFingerprint, 'Enter your Inception Labs API key');
+      showStoredKey('openrouter-key-input', settings.openRouterApiKeyFingerprint, 'Enter your OpenRouter API key');
+      document.getElementById('key-storage-note').style.display = settings.keyStorage === 'file' ? '' : 'none';
       const currentModel = settings.model || 'mercury-2';
-      document.getElementById('model-setting').value = currentModel;
+      customProviders = settings.customProviders || [];
+      providerKeyFingerprints = settings.providerKeyFingerprints || {};
+      renderProviderSettings({ defaultProvider: settings.defaultProvider, failoverProvider: settings.failoverProvider });
+      mcpServers = settings.mcpServers || [];
+      savedCompareTargets = settings.compareTargets || [];
+      mcpStatus = await window.electronAPI.getMcpStatus();
+      renderMcpSettings();
+      document.getElementById('max-retries-setting').value = String(settings.maxRetries ?? 2);
+      await refreshModelSetting(currentModel);
       applyMaxTokensForModel(currentModel);
       const modelMax = getMaxTokensForModel(currentModel);
       const savedTokens = settings.maxTokens;
@@ -122,6 +188,13 @@ settingsBtn.addEventListener('click', async () => {
       document.getElementById('max-tokens-input').value = (savedTokens && savedTokens <= modelMax) ? savedTokens : modelMax;
       document.getElementById('theme-setting').value = settings.theme || 'dark';
       document.getElementById('system-prompt-input').value = settings.systemPrompt || '';
+      fillSamplingFields('default', settings.samplingDefaults);
+      document.getElementById('sampling-defaults-error').style.display = 'none';
+      document.getElementById('export-reasoning-setting').checked = !!settings.exportReasoning;
+      document.getElementById('tools-enabled-setting').checked = settings.toolsEnabled !== false;
+      document.getElementById('diffusing-display-setting').checked = !!settings.diffusingDisplay;
+      document.getElementById('trash-retention-setting').value = String(settings.trashRetentionDays ?? 30);
+      await refreshEncryptionSetting();
     } catch (error) {
       console.error('Error loading settings:', error);
     }
@@ -132,19 +205,42 @@ settingsBtn.addEventListener('click', async () => {
 async function closeModal() {
   // Save settings when closing modal
   if (window.electronAPI) {
+    // Invalid sampling defaults keep the modal open so they can be fixed
+    const sampling = readSamplingFields('default');
+    if (sampling.error) {
+      const errorEl = document.getElementById('sampling-defaults-error');
+      errorEl.textContent = sampling.error;
+      errorEl.style.display = '';
+      errorEl.scrollIntoView({ block: 'center' });
+      return;
+    }
     try {
       const settings = {
-        apiKey: document.getElementById('api-key-input').value,
-        openRouterApiKey: document.getElementById('openrouter-key-input').value,
         model: document.getElementById('model-setting').value,
         maxTokens: parseInt(document.getElementById('max-tokens-input').value) || getMaxTokensForModel(document.getElementById('model-setting').value),
         theme: document.getElementById('theme-setting').value,
-        systemPrompt: document.getElementById('system-prompt-input').value
+        systemPrompt: document.getElementById('system-prompt-input').value,
+        exportReasoning: document.getElementById('export-reasoning-setting').checked,
+        toolsEnabled: document.getElementById('tools-enabled-setting').checked,
+        diffusingDisplay: document.getElementById('diffusing-display-setting').checked,
+        trashRetentionDays: parseInt(document.getElementById('trash-retention-setting').value, 10),
+        customProviders,
+        mcpServers,
+        compareTargets: savedCompareTargets,
+        defaultProvider: document.getElementById('default-provider-setting').value || null,
+        failoverProvider: document.getElementById('failover-provider-setting').value || null,
+        maxRetries: parseInt(document.getElementById('max-retries-setting').value, 10),
+        samplingDefaults: sampling.params
       };
+      // Saved keys are never sent back to the renderer, so only a newly typed key is saved
+      const apiKey = document.getElementById('api-key-input').value.trim();
+      const openRouterApiKey = document.getElementById('openrouter-key-input').value.trim();
+      if (apiKey) settings.apiKey = apiKey;
+      if (openRouterApiKey) settings.openRouterApiKey = openRouterApiKey;
       await window.electronAPI.saveSettings(settings);
 
-      // Update the model dropdown in the main UI
-      document.getElementById('model-select').value = settings.model;
+      // Update the model and provider dropdowns in the main UI
+      document.dispatchEvent(new CustomEvent('providersChanged'));
     } catch (error) {
       console.error('Error saving settings:', error);
     }
@@ -161,21 +257,401 @@ document.getElementById('model-setting').addEventListener('change', async functi
   document.getElementById('max-tokens-input').value = getMaxTokensForModel(selectedModel);
   updateReasoningToggleVisibility(selectedModel);
 
-  // Update the main dropdown immediately
-  document.getElementById('model-select').value = selectedModel;
-
   if (window.electronAPI) {
     try {
       // Load current settings and update model
       const currentSettings = await window.electronAPI.loadSettings() || {};
       currentSettings.model = selectedModel;
       await window.electronAPI.saveSettings(currentSettings);
+      // The main dropdown may list another provider's models, so it is refilled
+      document.dispatchEvent(new CustomEvent('providersChanged'));
     } catch (error) {
       console.error('Error saving model preference from settings:', error);
     }
   }
 });
 
+// Lists the selected default provider's models in the settings modal
+async function refreshModelSetting(selectedModel, { refresh = false } = {}) {
+  if (!window.electronAPI) return;
+  const status = document.getElementById('model-list-status');
+  const providerId = document.getElementById('default-provider-setting').value || null;
+  const listing = await window.electronAPI.listModels(providerId, { refresh });
+  if (!listing) return;
+  settingsModels = listing.models;
+  fillModelOptions(document.getElementById('model-setting'), listing.models, selectedModel);
+  if (listing.error) {
+    status.textContent = `Couldn't load the model list: ${listing.error}`;
+  } else if (listing.fetchedAt) {
+    status.textContent = `${listing.models.length} model${listing.models.length === 1 ? '' : 's'} available, updated ${new Date(listing.fetchedAt).toLocaleString()}`;
+  } else {
+    status.textContent = 'Choose your preferred AI model';
+  }
+}
+
+document.getElementById('refresh-models-btn').addEventListener('click', async () => {
+  const btn = document.getElementById('refresh-models-btn');
+  btn.disabled = true;
+  await refreshModelSetting(document.getElementById('model-setting').value, { refresh: true });
+  applyMaxTokensForModel(document.getElementById('model-setting').value);
+  btn.disabled = false;
+  document.dispatchEvent(new CustomEvent('providersChanged'));
+});
+
+document.getElementById('default-provider-setting').addEventListener('change', async () => {
+  await refreshModelSetting(document.getElementById('model-setting').value);
+  applyMaxTokensForModel(document.getElementById('model-setting').value);
+});
+
+// API key inputs start empty; a saved key only shows as a masked fingerprint
+function showStoredKey(inputId, fingerprint, emptyPlaceholder) {
+  const input = document.getElementById(inputId);
+  input.value = '';
+  input.placeholder = fingerprint ? `Saved key ${fingerprint} \u2014 type to replace` : emptyPlaceholder;
+  input.parentElement.querySelector('.remove-key-btn').style.display = fingerprint ? '' : 'none';
+}
+
+document.querySelectorAll('.remove-key-btn').forEach(btn => {
+  btn.addEventListener('click', async () => {
+    if (!window.electronAPI) return;
+    const field = btn.dataset.keyField;
+    const current = await window.electronAPI.loadSettings() || {};
+    await window.electronAPI.saveSettings({ ...current, [field]: '' });
+    const settings = await window.electronAPI.loadSettings();
+    if (field === 'apiKey') showStoredKey('api-key-input', settings.apiKeyFingerprint, 'Enter your Inception Labs API key');
+    else showStoredKey('openrouter-key-input', settings.openRouterApiKeyFingerprint, 'Enter your OpenRouter API key');
+  });
+});
+
+// Custom OpenAI-compatible providers. The list is saved as soon as a provider
+// is added, edited or deleted so its key is stored alongside it.
+let customProviders = [];
+let providerKeyFingerprints = {};
+let editingProviderId = null;
+
+// Fills a provider menu whose first option ('' value) means "none"; a
+// selection that no longer exists falls back to it
+function fillProviderSelect(select, emptyLabel, selected) {
+  const current = selected === undefined ? select.value : selected;
+  select.innerHTML = '';
+  const options = [
+    { id: '', name: emptyLabel },
+    { id: 'inception', name: 'Inception' },
+    { id: 'openrouter', name: 'OpenRouter' },
+    ...customProviders
+  ];
+  for (const provider of options) {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.name;
+    select.appendChild(option);
+  }
+  select.value = options.some(p => p.id === current) ? (current || '') : '';
+}
+
+// Pass the saved selections when the modal opens; later re-renders keep the current ones
+function renderProviderSettings({ defaultProvider, failoverProvider } = {}) {
+  fillProviderSelect(document.getElementById('default-provider-setting'), 'Automatic (Inception if its key is set, else OpenRouter)', defaultProvider);
+  fillProviderSelect(document.getElementById('failover-provider-setting'), 'None', failoverProvider);
+
+  const list = document.getElementById('custom-providers-list');
+  list.innerHTML = '';
+  for (const provider of customProviders) {
+    const row = document.createElement('div');
+    row.className = 'custom-provider-row';
+    const name = document.createElement('span');
+    name.className = 'custom-provider-name';
+    name.textContent = provider.name;
+    const url = document.createElement('span');
+    url.className = 'custom-provider-url';
+    url.textContent = provider.baseUrl;
+    url.title = provider.baseUrl;
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openProviderEditor(provider));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-provider-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      customProviders = customProviders.filter(p => p.id !== provider.id);
+      renderProviderSettings();
+      await saveProviderSettings();
+    });
+    row.append(name, url, editBtn, deleteBtn);
+    list.appendChild(row);
+  }
+  document.getElementById('custom-providers-empty').style.display = customProviders.length ? 'none' : '';
+}
+
+async function saveProviderSettings(providerKeys) {
+  if (!window.electronAPI) return false;
+  const current = await window.electronAPI.loadSettings() || {};
+  const ok = await window.electronAPI.saveSettings({
+    ...current,
+    customProviders,
+    defaultProvider: document.getElementById('default-provider-setting').value || null,
+    failoverProvider: document.getElementById('failover-provider-setting').value || null,
+    ...(providerKeys ? { providerKeys } : {})
+  });
+  const settings = await window.electronAPI.loadSettings();
+  providerKeyFingerprints = settings.providerKeyFingerprints || {};
+  document.dispatchEvent(new CustomEvent('providersChanged'));
+  return ok;
+}
+
+// "Name: value" lines for headers, "app model = provider model" lines for models
+function parseProviderLines(text, separator) {
+  const result = {};
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const at = line.indexOf(separator);
+    if (at <= 0) return null;
+    const key = line.slice(0, at).trim();
+    const value = line.slice(at + 1).trim();
+    if (!key || !value) return null;
+    result[key] = value;
+  }
+  return result;
+}
+
+function formatProviderLines(map, separator) {
+  return Object.entries(map || {}).map(([key, value]) => `${key}${separator}${value}`).join('\n');
+}
+
+function openProviderEditor(provider) {
+  editingProviderId = provider ? provider.id : null;
+  document.getElementById('provider-modal-title').textContent = provider ? 'Edit Provider' : 'Add Provider';
+  document.getElementById('provider-name-input').value = provider?.name || '';
+  document.getElementById('provider-url-input').value = provider?.baseUrl || '';
+  const keyInput = document.getElementById('provider-key-input');
+  const fingerprint = provider && providerKeyFingerprints[provider.id];
+  keyInput.value = '';
+  keyInput.placeholder = fingerprint ? `Saved key ${fingerprint} \u2014 type to replace` : 'Optional';
+  document.getElementById('provider-headers-input').value = formatProviderLines(provider?.headers, ': ');
+  document.getElementById('provider-models-input').value = formatProviderLines(provider?.models, ' = ');
+  document.getElementById('provider-modal-error').style.display = 'none';
+  document.getElementById('provider-modal').classList.add('open');
+  setTimeout(() => document.getElementById('provider-name-input').focus(), 100);
+}
+
+function closeProviderEditor() {
+  document.getElementById('provider-modal').classList.remove('open');
+  document.getElementById('provider-key-input').value = '';
+  editingProviderId = null;
+}
+
+function showProviderError(message) {
+  const errorEl = document.getElementById('provider-modal-error');
+  errorEl.textContent = message;
+  errorEl.style.display = '';
+}
+
+document.getElementById('add-provider-btn').addEventListener('click', () => openProviderEditor(null));
+document.getElementById('provider-modal-cancel').addEventListener('click', closeProviderEditor);
+
+document.getElementById('provider-modal-save').addEventListener('click', async () => {
+  const name = document.getElementById('provider-name-input').value.trim();
+  const baseUrl = document.getElementById('provider-url-input').value.trim();
+  const headers = parseProviderLines(document.getElementById('provider-headers-input').value, ':');
+  const models = parseProviderLines(document.getElementById('provider-models-input').value, '=');
+  if (!name) return showProviderError('Enter a name for this provider.');
+  if (!/^https?:\/\/\S+$/i.test(baseUrl)) return showProviderError('Enter a base URL starting with http:// or https://.');
+  if (!headers) return showProviderError('Write each header as "Name: value" on its own line.');
+  if (!models) return showProviderError('Write each mapping as "app model = provider model" on its own line.');
+
+  const id = editingProviderId || `custom-${Date.now().toString(36)}`;
+  const provider = { id, name, baseUrl, headers, models };
+  const previous = customProviders;
+  customProviders = editingProviderId
+    ? customProviders.map(p => p.id === id ? provider : p)
+    : [...customProviders, provider];
+  const key = document.getElementById('provider-key-input').value.trim();
+  renderProviderSettings();
+  if (!await saveProviderSettings(key ? { [id]: key } : undefined)) {
+    customProviders = previous;
+    renderProviderSettings();
+    return showProviderError('This provider could not be saved. Check the URL and header names (Authorization and Content-Type are set automatically).');
+  }
+  closeProviderEditor();
+});
+
+// Local MCP servers. Like custom providers, the list is saved on every
+// change so servers start or stop right away.
+let mcpServers = [];
+let mcpStatus = [];
+let editingMcpServerId = null;
+
+function describeMcpStatus(server) {
+  if (!server.enabled) return { text: 'Disabled', error: false };
+  const status = mcpStatus.find(s => s.id === server.id);
+  if (!status || status.status === 'starting') return { text: 'Starting\u2026', error: false };
+  if (status.status === 'error') return { text: status.error || 'Failed to start', error: true };
+  const counts = [[status.tools, 'tool'], [status.resources, 'resource'], [status.prompts, 'prompt']]
+    .filter(([n]) => n > 0).map(([n, noun]) => `${n} ${noun}${n === 1 ? '' : 's'}`);
+  return { text: counts.length ? counts.join(', ') : 'Running, nothing offered', error: false };
+}
+
+function renderMcpSettings() {
+  const list = document.getElementById('mcp-servers-list');
+  list.innerHTML = '';
+  for (const server of mcpServers) {
+    const row = document.createElement('div');
+    row.className = 'custom-provider-row mcp-server-row';
+    const name = document.createElement('span');
+    name.className = 'custom-provider-name';
+    name.textContent = server.name;
+    const { text, error } = describeMcpStatus(server);
+    const status = document.createElement('span');
+    status.className = `custom-provider-url${error ? ' error' : ''}`;
+    status.textContent = text;
+    status.title = text;
+    const toggle = document.createElement('label');
+    toggle.className = 'toggle-switch';
+    toggle.title = server.enabled ? 'Disable this server' : 'Enable this server';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = server.enabled;
+    checkbox.addEventListener('change', async () => {
+      mcpServers = mcpServers.map(s => s.id === server.id ? { ...s, enabled: checkbox.checked } : s);
+      renderMcpSettings();
+      await saveMcpSettings();
+    });
+    const slider = document.createElement('span');
+    slider.className = 'toggle-slider';
+    toggle.append(checkbox, slider);
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openMcpEditor(server));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-provider-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      mcpServers = mcpServers.filter(s => s.id !== server.id);
+      renderMcpSettings();
+      await saveMcpSettings();
+    });
+    row.append(name, status, toggle, editBtn, deleteBtn);
+    list.appendChild(row);
+  }
+  document.getElementById('mcp-servers-empty').style.display = mcpServers.length ? 'none' : '';
+}
+
+async function saveMcpSettings() {
+  if (!window.electronAPI) return false;
+  const current = await window.electronAPI.loadSettings() || {};
+  return window.electronAPI.saveSettings({ ...current, mcpServers });
+}
+
+// Servers report their status as they start, fail or change their listings
+if (window.electronAPI) {
+  window.electronAPI.onMcpChanged((status) => {
+    mcpStatus = status;
+    if (settingsModal.classList.contains('open')) renderMcpSettings();
+  });
+}
+
+function openMcpEditor(server) {
+  editingMcpServerId = server ? server.id : null;
+  document.getElementById('mcp-modal-title').textContent = server ? 'Edit MCP Server' : 'Add MCP Server';
+  document.getElementById('mcp-name-input').value = server?.name || '';
+  document.getElementById('mcp-command-input').value = server?.command || '';
+  document.getElementById('mcp-args-input').value = (server?.args || []).join('\n');
+  document.getElementById('mcp-env-input').value = formatProviderLines(server?.env, '=');
+  document.getElementById('mcp-modal-error').style.display = 'none';
+  document.getElementById('mcp-modal').classList.add('open');
+  setTimeout(() => document.getElementById('mcp-name-input').focus(), 100);
+}
+
+function closeMcpEditor() {
+  document.getElementById('mcp-modal').classList.remove('open');
+  editingMcpServerId = null;
+}
+
+function showMcpError(message) {
+  const errorEl = document.getElementById('mcp-modal-error');
+  errorEl.textContent = message;
+  errorEl.style.display = '';
+}
+
+document.getElementById('add-mcp-server-btn').addEventListener('click', () => openMcpEditor(null));
+document.getElementById('mcp-modal-cancel').addEventListener('click', closeMcpEditor);
+
+document.getElementById('mcp-modal-save').addEventListener('click', async () => {
+  const name = document.getElementById('mcp-name-input').value.trim();
+  const command = document.getElementById('mcp-command-input').value.trim();
+  const args = document.getElementById('mcp-args-input').value.split('\n').map(a => a.trim()).filter(Boolean);
+  const env = parseProviderLines(document.getElementById('mcp-env-input').value, '=');
+  if (!name) return showMcpError('Enter a name for this server.');
+  if (!command) return showMcpError('Enter the command that starts the server.');
+  if (!env || Object.keys(env).some(key => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(key))) {
+    return showMcpError('Write each variable as "NAME=value" on its own line.');
+  }
+
+  const id = editingMcpServerId || `mcp-${Date.now().toString(36)}`;
+  const existing = mcpServers.find(s => s.id === id);
+  const server = { id, name, command, args, env, enabled: existing ? existing.enabled : true };
+  const previous = mcpServers;
+  mcpServers = existing ? mcpServers.map(s => s.id === id ? server : s) : [...mcpServers, server];
+  renderMcpSettings();
+  if (!await saveMcpSettings()) {
+    mcpServers = previous;
+    renderMcpSettings();
+    return showMcpError('This server could not be saved. Check the arguments and environment variables.');
+  }
+  closeMcpEditor();
+});
+
+// Encrypted storage controls
+async function refreshEncryptionSetting() {
+  const status = await window.electronAPI.getEncryptionStatus();
+  const statusEl = document.getElementById('encryption-status');
+  const toggleBtn = document.getElementById('encryption-toggle-btn');
+  const modeSelect = document.getElementById('encryption-mode-setting');
+  modeSelect.querySelector('option[value="safeStorage"]').disabled = !status.safeStorageAvailable;
+  if (status.enabled) {
+    statusEl.textContent = status.mode === 'passphrase'
+      ? 'Encrypted with your passphrase'
+      : 'Encrypted with a key stored in the system keychain';
+    toggleBtn.textContent = 'Remove Encryption';
+  } else {
+    statusEl.textContent = 'Chats are stored unencrypted';
+    toggleBtn.textContent = 'Encrypt';
+  }
+  toggleBtn.dataset.enabled = status.enabled ? 'true' : '';
+  document.getElementById('encryption-enable-fields').style.display = status.enabled ? 'none' : '';
+  document.getElementById('encryption-passphrase-fields').style.display = modeSelect.value === 'passphrase' ? '' : 'none';
+}
+
+document.getElementById('encryption-mode-setting').addEventListener('change', (e) => {
+  document.getElementById('encryption-passphrase-fields').style.display = e.target.value === 'passphrase' ? '' : 'none';
+});
+
+document.getElementById('encryption-toggle-btn').addEventListener('click', async () => {
+  if (!window.electronAPI) return;
+  const toggleBtn = document.getElementById('encryption-toggle-btn');
+  const statusEl = document.getElementById('encryption-status');
+  const passInput = document.getElementById('encryption-passphrase');
+  const confirmInput = document.getElementById('encryption-passphrase-confirm');
+  let result;
+  if (toggleBtn.dataset.enabled) {
+    result = await window.electronAPI.disableEncryption();
+  } else {
+    const mode = document.getElementById('encryption-mode-setting').value;
+    if (mode === 'passphrase' && passInput.value !== confirmInput.value) {
+      statusEl.textContent = 'Passphrases do not match';
+      return;
+    }
+    toggleBtn.disabled = true;
+    statusEl.textContent = 'Encrypting...';
+    result = await window.electronAPI.enableEncryption({ mode, passphrase: passInput.value });
+    toggleBtn.disabled = false;
+  }
+  passInput.value = '';
+  confirmInput.value = '';
+  await refreshEncryptionSetting();
+  if (!result.ok) statusEl.textContent = result.error;
+});
+
 modalClose.addEventListener('click', closeModal);
 
 // Close modal when clicking outside
@@ -187,7 +663,12 @@ settingsModal.addEventListener('click', (e) => {
 
 // Close modal with Escape key
 document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape' && settingsModal.classList.contains('open')) {
+  if (e.key !== 'Escape') return;
+  if (document.getElementById('provider-modal').classList.contains('open')) {
+    closeProviderEditor();
+  } else if (document.getElementById('mcp-modal').classList.contains('open')) {
+    closeMcpEditor();
+  } else if (settingsModal.classList.contains('open')) {
     closeModal();
   }
 });
@@ -204,8 +685,8 @@ async function loadInitialSettings() {
       modelSelect.value = savedModel;
       updateReasoningToggleVisibility(savedModel);
 
-      // Show API key prompt if no key is configured (neither Inception nor OpenRouter)
-      const hasAnyKey = (settings?.apiKey && settings.apiKey.trim()) || (settings?.openRouterApiKey && settings.openRouterApiKey.trim());
+      // Show API key prompt if no key is configured and there is no custom provider to use instead
+      const hasAnyKey = settings?.hasApiKey || settings?.hasOpenRouterApiKey || settings?.customProviders?.length > 0;
       if (!hasAnyKey) {
         document.getElementById('api-key-modal').classList.add('open');
         setTimeout(() => document.getElementById('api-key-prompt-input').focus(), 300);
@@ -256,10 +737,10 @@ document.getElementById('api-key-prompt-save').addEventListener('click', async (
     await window.electronAPI.saveSettings(currentSettings);
   }
 
+  document.getElementById('api-key-prompt-input').value = '';
+  document.getElementById('openrouter-key-prompt-input').value = '';
   document.getElementById('api-key-modal').classList.remove('open');
-  // Keep the settings modal inputs in sync
-  if (apiKey) document.getElementById('api-key-input').value = apiKey;
-  if (openRouterApiKey) document.getElementById('openrouter-key-input').value = openRouterApiKey;
+  document.dispatchEvent(new CustomEvent('providersChanged'));
 });
 
 document.getElementById('api-key-prompt-skip').addEventListener('click', () => {
@@ -0,0 +1,847 @@
+/**
+ * MIT License
+ * 
+ * Copyright (c) 2025 Tim Tully
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+// Chat completions run in the main process so API keys never reach the
+// renderer. The renderer starts a request with a requestId it generated,
+// then receives chat:delta events while the reply streams and one chat:done.
+// A chat:delta appends content, or with diffusing on carries the whole draft.
+
+// modelPrefix namespaces the app's model ids on providers that serve many
+// vendors; OpenRouter lists Mercury 2 as inception/mercury-2.
+const PROVIDERS = {
+  inception: {
+    label: 'Inception',
+    baseUrl: 'https://api.inceptionlabs.ai/v1',
+    keyField: 'apiKey',
+    headers: {},
+    modelPrefix: ''
+  },
+  openrouter: {
+    label: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    keyField: 'openRouterApiKey',
+    headers: {
+      'HTTP-Referer': 'https://github.com/tullytim/inception_desktop',
+      'X-Title': 'Inception Desktop'
+    },
+    modelPrefix: 'inception/'
+  }
+};
+
+const MAX_REQUEST_ID_LENGTH = 100;
+const MAX_MODEL_ID_LENGTH = 200;
+
+const REASONING_EFFORTS = ['instant', 'low', 'medium', 'high'];
+const MAX_STOP_SEQUENCES = 4;
+const MAX_STOP_LENGTH = 200;
+// Allowed [min, max] of each numeric sampling parameter, and its API name
+const SAMPLING_RANGES = {
+  temperature: [0, 2, 'temperature'],
+  topP: [0, 1, 'top_p'],
+  presencePenalty: [-2, 2, 'presence_penalty'],
+  frequencyPenalty: [-2, 2, 'frequency_penalty']
+};
+
+// Rate limits and server errors are retried; anything else is reported at once
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Tool calls loop back to the model until it answers; the last round
+// forbids further calls so a confused model can't loop forever
+const MAX_TOOL_ROUNDS = 8;
+const MAX_TOOL_RESULT_CHARS = 100000;
+const MAX_TOOL_PREVIEW_CHARS = 4000;
+
+// Mercury Coder's fill-in-the-middle endpoint is Inception-only
+const FIM_MODEL = 'mercury-coder';
+const FIM_MAX_TOKENS = 1024;
+const MAX_CODE_CHARS = 400000;
+// Mercury Edit rewrites a whole file from an instruction or an edited
+// snippet, so its output is about as long as the input
+const APPLY_MODEL = 'mercury-edit';
+const APPLY_MAX_TOKENS = 32768;
+const MAX_INSTRUCTION_CHARS = 20000;
+
+class ProviderRequestError extends Error {
+  constructor(message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderRequestError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const MAX_CUSTOM_PROVIDERS = 20;
+const MAX_PROVIDER_HEADERS = 20;
+const MAX_PROVIDER_MODELS = 50;
+const CUSTOM_PROVIDER_ID = /^custom-[a-z0-9-]{1,40}$/;
+const HEADER_NAME = /^[A-Za-z0-9-]{1,100}$/;
+// Set by the service itself; extra headers cannot override them
+const RESERVED_HEADERS = ['content-type', 'authorization', 'content-length', 'host'];
+
+// Chats without an explicit provider use the default, or whichever built-in
+// provider has a key (Inception preferred) for settings saved before it existed
+function selectProvider(settings, keys) {
+  if (settings.defaultProvider) return settings.defaultProvider;
+  if (keys.apiKey) return 'inception';
+  if (keys.openRouterApiKey) return 'openrouter';
+  return 'inception';
+}
+
+function isBuiltinProvider(providerId) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, providerId);
+}
+
+// Accepts a base URL with or without the /chat/completions suffix
+function chatCompletionsUrl(baseUrl) {
+  const trimmed = baseUrl.replace(/\/+$/, '');
+  return trimmed.endsWith('/chat/completions') ? trimmed : `${trimmed}/chat/completions`;
+}
+
+function modelsUrl(baseUrl) {
+  return `${baseUrl.replace(/\/+$/, '').replace(/\/chat\/completions$/, '')}/models`;
+}
+
+// Endpoint, headers and key for a provider id, or the default provider when
+// the id is falsy. Built-in providers need their key; custom ones may not.
+function resolveProvider(providerId, settings, keys) {
+  const id = providerId || selectProvider(settings, keys);
+  if (isBuiltinProvider(id)) {
+    const builtin = PROVIDERS[id];
+    const apiKey = keys[builtin.keyField];
+    if (!apiKey) {
+      return { error: { title: 'API Key Required', message: `Please set an ${builtin.label} API key in the settings, or choose another provider for this chat.` } };
+    }
+    const provider = { label: builtin.label, baseUrl: builtin.baseUrl, headers: builtin.headers, modelPrefix: builtin.modelPrefix, models: {}, builtin: true };
+    return { providerId: id, provider, apiKey };
+  }
+
+  const custom = (settings.customProviders || []).find((p) => p.id === id);
+  if (!custom) {
+    return { error: { title: 'Provider Not Found', message: 'The provider for this chat has been removed. Choose another provider from the menu next to the model.' } };
+  }
+  const provider = { label: custom.name, baseUrl: custom.baseUrl, headers: custom.headers, modelPrefix: '', models: custom.models, builtin: false };
+  return { providerId: id, provider, apiKey: keys.providerKeys?.[id] || '' };
+}
+
+// The id a provider expects for one of the app's model ids; unmapped models
+// on custom providers are sent as they are
+// Namespaced ids from a listing (another vendor's model on OpenRouter) are
+// already the provider's own
+function providerModelId(provider, model) {
+  if (provider.models[model]) return provider.models[model];
+  return provider.modelPrefix && model.includes('/') ? model : `${provider.modelPrefix}${model}`;
+}
+
+function sanitizeStringMap(value, maxEntries, isValidKey) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) return null;
+  const entries = Object.entries(value);
+  if (entries.length > maxEntries) return null;
+  const result = {};
+  for (const [key, val] of entries) {
+    if (!isValidKey(key) || typeof val !== 'string' || !val.trim() || val.length > 2000) return null;
+    result[key] = val.trim();
+  }
+  return result;
+}
+
+// Validates the customProviders setting; returns null if any entry is malformed
+function sanitizeCustomProviders(list) {
+  if (!Array.isArray(list) || list.length > MAX_CUSTOM_PROVIDERS) return null;
+  const seen = new Set();
+  const providers = [];
+  for (const p of list) {
+    if (!p || typeof p !== 'object') return null;
+    if (typeof p.id !== 'string' || !CUSTOM_PROVIDER_ID.test(p.id) || seen.has(p.id)) return null;
+    if (typeof p.name !== 'string' || !p.name.trim()) return null;
+    if (typeof p.baseUrl !== 'string') return null;
+    let url;
+    try {
+      url = new URL(p.baseUrl.trim());
+    } catch {
+      return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    const headers = sanitizeStringMap(p.headers, MAX_PROVIDER_HEADERS,
+      (name) => HEADER_NAME.test(name) && !RESERVED_HEADERS.includes(name.toLowerCase()));
+    const models = sanitizeStringMap(p.models, MAX_PROVIDER_MODELS, (name) => name.length > 0 && name.length <= 100);
+    if (!headers || !models) return null;
+    seen.add(p.id);
+    providers.push({ id: p.id, name: p.name.trim().substring(0, 60), baseUrl: p.baseUrl.trim(), headers, models });
+  }
+  return providers;
+}
+
+// Validates sampling parameters (temperature, topP, presencePenalty,
+// frequencyPenalty, stop, seed, reasoningEffort). Unset fields are left out so
+// the provider's own defaults apply; returns null if any value is invalid.
+function sanitizeSamplingParams(params) {
+  if (params === undefined || params === null) return {};
+  if (typeof params !== 'object' || Array.isArray(params)) return null;
+  const result = {};
+  for (const [field, [min, max]] of Object.entries(SAMPLING_RANGES)) {
+    const value = params[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) return null;
+    result[field] = value;
+  }
+  if (params.stop !== undefined && params.stop !== null) {
+    if (!Array.isArray(params.stop) || params.stop.length > MAX_STOP_SEQUENCES) return null;
+    if (params.stop.some((stop) => typeof stop !== 'string' || !stop || stop.length > MAX_STOP_LENGTH)) return null;
+    if (params.stop.length > 0) result.stop = [...params.stop];
+  }
+  if (params.seed !== undefined && params.seed !== null) {
+    if (!Number.isSafeInteger(params.seed) || params.seed < 0) return null;
+    result.seed = params.seed;
+  }
+  if (params.reasoningEffort !== undefined && params.reasoningEffort !== null) {
+    if (!REASONING_EFFORTS.includes(params.reasoningEffort)) return null;
+    result.reasoningEffort = params.reasoningEffort;
+  }
+  return result;
+}
+
+// Built-in providers first, then the user's own, with whether each can be used
+function listProviders(settings, keys) {
+  const builtin = Object.entries(PROVIDERS).map(([id, p]) => ({
+    id, name: p.label, builtin: true, hasKey: !!keys[p.keyField], ready: !!keys[p.keyField]
+  }));
+  const custom = (settings.customProviders || []).map((p) => ({
+    id: p.id, name: p.name, builtin: false, hasKey: !!keys.providerKeys?.[p.id], ready: true
+  }));
+  return { providers: [...builtin, ...custom], defaultProvider: selectProvider(settings, keys) };
+}
+
+// Drop the oldest exchanges (keeping the first message) until the estimate fits
+function compactHistory(history, maxTokens, contextWindow) {
+  if (history.length === 0) return history;
+  const estimateTokens = (msgs) => msgs.reduce((sum, m) => sum + Math.ceil(m.content.length / 4), 0);
+  const budget = contextWindow - maxTokens;
+  let compacted = [...history];
+  while (compacted.length > 1 && estimateTokens(compacted) > budget) {
+    const dropFrom = compacted.length > 2 ? 1 : 0;
+    compacted.splice(dropFrom, 2);
+  }
+  return compacted;
+}
+
+function sanitizeHistory(messages) {
+  if (!Array.isArray(messages)) return null;
+  const history = [];
+  for (const m of messages) {
+    if (!m || (m.role !== 'user' && m.role !== 'assistant') || typeof m.content !== 'string') return null;
+    history.push({ role: m.role, content: m.content });
+  }
+  return history;
+}
+
+// Local servers often run without a key, so Authorization is only sent when one is set
+function buildHeaders(provider, apiKey) {
+  return {
+    ...provider.headers,
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+  };
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS) : null;
+}
+
+// Exponential backoff with jitter; retry is 0 for the first retry
+function backoffDelay(retry) {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** retry, MAX_RETRY_DELAY_MS);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Network failures surface from fetch as TypeError
+function isRetryable(err) {
+  if (err instanceof ProviderRequestError) return RETRYABLE_STATUS.includes(err.status);
+  return err.name === 'TypeError';
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function readErrorMessage(res) {
+  let errMsg = `API error (${res.status})`;
+  try {
+    const b = await res.json();
+    if (b.error?.message) errMsg = typeof b.error.message === 'string' ? b.error.message : JSON.stringify(b.error);
+  } catch {}
+  return errMsg;
+}
+
+// Yields parsed JSON chunks from an OpenAI-style server-sent event stream
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const value of body) {
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      const raw = line.slice(6).trim();
+      if (raw === '[DONE]') continue;
+      try {
+        yield JSON.parse(raw);
+      } catch {}
+    }
+  }
+}
+
+// readSettings() returns the non-key settings (model, maxTokens, systemPrompt,
+// customProviders, defaultProvider, maxRetries, failoverProvider,
+// samplingDefaults, toolsEnabled); readApiKeys() returns
+// { apiKey, openRouterApiKey, providerKeys: { [customProviderId]: key } } in plaintext.
+// modelCatalog supplies each provider's discovered models and their limits.
+// tools, if given, offers { definitions(), needsApproval(name), run(name, argsJson, { signal }) }
+// to the model; calls that need approval wait for approveTool().
+function createChatService({ readSettings, readApiKeys, modelCatalog, tools = null }) {
+  const activeRequests = new Map();
+  // `${requestId}:${callId}` -> settles the wait for the user's decision
+  const pendingApprovals = new Map();
+
+  // Resolves the provider, key and provider-specific model id for a chat.
+  // providerId is the chat's own provider, or falsy to use the default.
+  async function resolveTarget(providerId, modelId = null) {
+    const [settings, keys] = await Promise.all([readSettings(), readApiKeys()]);
+    const resolved = resolveProvider(providerId, settings, keys);
+    if (resolved.error) return resolved;
+    const { provider } = resolved;
+    const model = modelId || settings.model;
+    const resolvedModel = providerModelId(provider, model);
+    // Only a listing that was actually fetched can rule a model out
+    const listed = await modelCatalog.cachedModels(resolved.providerId);
+    if (listed && listed.length > 0 && !listed.some((m) => m.id === model || m.id === resolvedModel)) {
+      return { error: { title: `Model Not Available on ${provider.label}`, message: `"${model}" is not offered by ${provider.label}. Pick another model from the menu.` } };
+    }
+    const limits = await modelCatalog.limitsFor(resolved.providerId, model);
+    return { ...resolved, provider: { ...provider, url: chatCompletionsUrl(provider.baseUrl) }, settings, model, resolvedModel, limits };
+  }
+
+  function checkRequestId(requestId) {
+    if (typeof requestId !== 'string' || !requestId || requestId.length > MAX_REQUEST_ID_LENGTH) {
+      return { ok: false, error: { title: 'Invalid Request', message: 'Missing request id.' } };
+    }
+    if (activeRequests.has(requestId)) {
+      return { ok: false, error: { title: 'Invalid Request', message: 'Duplicate request id.' } };
+    }
+    return null;
+  }
+
+  // request: { requestId, provider, model, messages: [{ role, content }], sampling }
+  // where model overrides the model from settings (compare mode sets it) and
+  // sampling holds the conversation's overrides of samplingDefaults
+  async function start(sender, request) {
+    const requestId = request?.requestId;
+    const invalid = checkRequestId(requestId);
+    if (invalid) return invalid;
+    const history = sanitizeHistory(request.messages);
+    if (!history) return { ok: false, error: { title: 'Invalid Request', message: 'Malformed message history.' } };
+
+    if (request.provider !== undefined && request.provider !== null && typeof request.provider !== 'string') {
+      return { ok: false, error: { title: 'Invalid Request', message: 'Malformed provider.' } };
+    }
+    if (request.model !== undefined && request.model !== null && (typeof request.model !== 'string' || !request.model || request.model.length > MAX_MODEL_ID_LENGTH)) {
+      return { ok: false, error: { title: 'Invalid Request', message: 'Malformed model.' } };
+    }
+    const target = await resolveTarget(request.provider, request.model);
+    if (target.error) return { ok: false, error: target.error };
+
+    const overrides = sanitizeSamplingParams(request.sampling);
+    if (!overrides) return { ok: false, error: { title: 'Invalid Request', message: 'Invalid sampling parameters.' } };
+    const controller = new AbortController();
+    activeRequests.set(requestId, controller);
+
+    const options = { history, sampling: overrides };
+    stream(sender, requestId, target, options, controller).finally(() => activeRequests.delete(requestId));
+    return { ok: true };
+  }
+
+  function buildPayload(target, { history, sampling: overrides }) {
+    const maxTokens = Math.min(target.settings.maxTokens || 32768, target.limits.maxOutputTokens || Infinity);
+    const messages = [];
+    if (target.settings.systemPrompt?.trim()) {
+      messages.push({ role: 'system', content: target.settings.systemPrompt.trim() });
+    }
+    messages.push(...compactHistory(history, maxTokens, target.limits.contextWindow));
+
+    const payload = {
+      model: target.resolvedModel,
+      messages,
+      max_tokens: maxTokens,
+      stream: true
+    };
+    const sampling = { ...target.settings.samplingDefaults, ...overrides };
+    for (const [field, [, , apiName]] of Object.entries(SAMPLING_RANGES)) {
+      if (sampling[field] !== undefined) payload[apiName] = sampling[field];
+    }
+    if (sampling.stop) payload.stop = sampling.stop;
+    if (sampling.seed !== undefined) payload.seed = sampling.seed;
+    // Other OpenAI-compatible servers may reject the unknown parameter
+    if (sampling.reasoningEffort && target.model === 'mercury-2' && target.provider.builtin) {
+      payload.reasoning_effort = sampling.reasoningEffort;
+    }
+    // Inception can stream each refinement of the whole draft instead of
+    // appending tokens; attemptRequest replaces the round's text with each one
+    if (target.settings.diffusingDisplay && target.providerId === 'inception') {
+      payload.diffusing = true;
+    }
+    return payload;
+  }
+
+  // The configured failover provider, if it differs and is usable
+  async function resolveFailover(target) {
+    const failoverId = target.settings.failoverProvider;
+    if (!failoverId || failoverId === target.providerId) return null;
+    const next = await resolveTarget(failoverId, target.model);
+    return next.error ? null : next;
+  }
+
+  // Streams one reply, retrying with backoff while nothing has been received
+  // and then failing over once. Progress is reported as chat:status events.
+  // When the model calls tools they are run here, reported as chat:tool
+  // events, and their results sent back until the model answers.
+  async function stream(sender, requestId, primaryTarget, options, controller) {
+    const send = (channel, data) => {
+      if (!sender.isDestroyed()) sender.send(channel, { requestId, ...data });
+    };
+
+    const reply = { content: '', reasoning: '', usage: null, servedModel: null, finishReason: null, ttftMs: null };
+    const toolMessages = [];
+    const toolCalls = [];
+    const totals = { promptTokens: null, completionTokens: null };
+    const useTools = !!tools && primaryTarget.settings.toolsEnabled !== false;
+    let error = null;
+    let target = primaryTarget;
+    let payload = null;
+    const maxAttempts = (target.settings.maxRetries ?? 0) + 1;
+    let totalAttempts = 0;
+    let failedOver = false;
+    const startedAt = Date.now();
+
+    // The conversation plus any tool rounds so far, for the current target
+    const preparePayload = async (round) => {
+      const next = buildPayload(target, options);
+      next.messages.push(...toolMessages);
+      if (useTools) {
+        next.tools = await tools.definitions();
+        if (round >= MAX_TOOL_ROUNDS - 1) next.tool_choice = 'none';
+      }
+      return next;
+    };
+
+    // Anything thrown outside an attempt (building the payload, listing tools,
+    // resolving the failover) still has to end the reply with chat:done
+    try {
+      for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+        payload = await preparePayload(round);
+        reply.round = { content: '', received: false, toolCalls: [], usage: null };
+        let attempt = 1;
+
+        while (true) {
+          totalAttempts++;
+          try {
+            await attemptRequest(target, payload, controller, reply, startedAt, send);
+            break;
+          } catch (err) {
+            if (err.name === 'AbortError') {
+              reply.finishReason = 'aborted';
+              break;
+            }
+            // A partly streamed reply can't be resumed, so only clean failures are retried
+            const canRetry = !reply.round.received && isRetryable(err);
+            const next = canRetry && attempt >= maxAttempts && !failedOver ? await resolveFailover(target) : null;
+            let delayMs = 0;
+            if (canRetry && attempt < maxAttempts) {
+              delayMs = err.retryAfterMs ?? backoffDelay(attempt - 1);
+              attempt++;
+            } else if (next) {
+              failedOver = true;
+              target = next;
+              payload = await preparePayload(round);
+              attempt = 1;
+            } else {
+              error = totalAttempts > 1 ? `${err.message} (gave up after ${totalAttempts} attempts)` : err.message;
+              break;
+            }
+
+            // Reported once while waiting and again as the next attempt starts
+            const status = { provider: target.provider.label, attempt, maxAttempts, reason: err.message, failover: !!next };
+            if (delayMs > 0) send('chat:status', { ...status, retryInMs: delayMs });
+            try {
+              await sleep(delayMs, controller.signal);
+            } catch {
+              reply.finishReason = 'aborted';
+              break;
+            }
+            send('chat:status', { ...status, retryInMs: 0 });
+          }
+        }
+
+        // Each round reports its own usage, if any; reply.usage is only the
+        // last one seen, for the context bar
+        const { usage } = reply.round;
+        if (usage && reply.round.received) {
+          totals.promptTokens = (totals.promptTokens ?? 0) + (usage.prompt_tokens ?? 0);
+          totals.completionTokens = (totals.completionTokens ?? 0) + (usage.completion_tokens ?? 0);
+        }
+        const calls = useTools ? reply.round.toolCalls.filter((call) => call.name) : [];
+        if (error || reply.finishReason === 'aborted' || calls.length === 0 || round === MAX_TOOL_ROUNDS - 1) break;
+
+        toolMessages.push({
+          role: 'assistant',
+          content: reply.round.content || null,
+          tool_calls: calls.map((call) => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } }))
+        });
+        for (const call of calls) {
+          let outcome = null;
+          if (tools.needsApproval?.(call.name)) {
+            const approval = waitForApproval(requestId, call.id, controller.signal);
+            send('chat:tool', { id: call.id, name: call.name, arguments: call.arguments, status: 'approval' });
+            if (!await approval) {
+              outcome = { error: 'The user declined this tool call.' };
+            }
+          }
+          if (!outcome) {
+            send('chat:tool', { id: call.id, name: call.name, arguments: call.arguments, status: 'running' });
+            outcome = await tools.run(call.name, call.arguments, { signal: controller.signal });
+          }
+          const output = JSON.stringify(outcome.error ? { error: outcome.error } : outcome.result) ?? 'null';
+          toolMessages.push({ role: 'tool', tool_call_id: call.id, content: output.substring(0, MAX_TOOL_RESULT_CHARS) });
+          const record = {
+            id: call.id,
+            name: call.name,
+            arguments: call.arguments.substring(0, MAX_TOOL_PREVIEW_CHARS),
+            result: outcome.error ? null : output.substring(0, MAX_TOOL_PREVIEW_CHARS),
+            error: outcome.error || null
+          };
+          toolCalls.push(record);
+          send('chat:tool', { ...record, status: outcome.error ? 'error' : 'done' });
+          if (controller.signal.aborted) break;
+        }
+        if (controller.signal.aborted) reply.finishReason = 'aborted';
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') reply.finishReason = 'aborted';
+      else error = err.message;
+    }
+
+    send('chat:done', {
+      content: reply.content,
+      reasoning: reply.reasoning,
+      usage: reply.usage,
+      error,
+      meta: {
+        model: reply.servedModel || target.resolvedModel,
+        provider: target.providerId,
+        promptTokens: totals.promptTokens ?? reply.usage?.prompt_tokens ?? null,
+        completionTokens: totals.completionTokens ?? reply.usage?.completion_tokens ?? null,
+        ttftMs: reply.ttftMs,
+        latencyMs: Date.now() - startedAt,
+        finishReason: reply.finishReason,
+        reasoningEffort: payload?.reasoning_effort || null,
+        toolCalls: toolCalls.length > 0 ? toolCalls : null
+      }
+    });
+  }
+
+  // One request to one provider, accumulating into reply and reply.round
+  async function attemptRequest(target, payload, controller, reply, startedAt, send) {
+    const { round } = reply;
+    const markFirstToken = () => {
+      if (reply.ttftMs === null) reply.ttftMs = Date.now() - startedAt;
+      round.received = true;
+    };
+    // Text from a later tool round starts a new paragraph
+    const appendContent = (delta) => {
+      if (!round.content && reply.content) delta = `\n\n${delta}`;
+      round.content += delta;
+      reply.content += delta;
+      return delta;
+    };
+    // A diffusing draft replaces the round's text so far
+    const replaceContent = (draft) => {
+      const before = reply.content.substring(0, reply.content.length - round.content.length);
+      round.content = before && draft ? `\n\n${draft}` : draft;
+      reply.content = before + round.content;
+      return reply.content;
+    };
+    // Streamed calls arrive in fragments keyed by index
+    const mergeToolCall = (fragment, fallbackIndex) => {
+      const index = Number.isInteger(fragment?.index) ? fragment.index : fallbackIndex;
+      if (index < 0 || index >= 64) return;
+      const call = round.toolCalls[index] || (round.toolCalls[index] = { id: null, name: '', arguments: '' });
+      if (typeof fragment.id === 'string' && fragment.id) call.id = fragment.id.substring(0, 200);
+      if (typeof fragment.function?.name === 'string') call.name += fragment.function.name;
+      if (typeof fragment.function?.arguments === 'string') call.arguments += fragment.function.arguments;
+      if (!call.id) call.id = `call_${Date.now()}_${index}`;
+    };
+
+    const res = await fetch(target.provider.url, {
+      method: 'POST',
+      headers: buildHeaders(target.provider, target.apiKey),
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      throw new ProviderRequestError(await readErrorMessage(res), {
+        status: res.status,
+        retryAfterMs: [429, 503].includes(res.status) ? parseRetryAfter(res.headers.get('retry-after')) : null
+      });
+    }
+
+    const contentType = res.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      for await (const chunk of readEventStream(res.body)) {
+        if (chunk.model) reply.servedModel = chunk.model;
+        if (chunk.choices?.[0]?.finish_reason) reply.finishReason = chunk.choices[0].finish_reason;
+        const delta = chunk.choices?.[0]?.delta;
+        const reasoningDelta = delta?.reasoning;
+        const contentDelta = delta?.content;
+        if (reasoningDelta || contentDelta) {
+          markFirstToken();
+          if (reasoningDelta) reply.reasoning += reasoningDelta;
+          const update = { content: '', reasoning: reasoningDelta || '' };
+          // draft carries the whole reply so far when diffusing
+          if (contentDelta && payload.diffusing) update.draft = replaceContent(contentDelta);
+          else if (contentDelta) update.content = appendContent(contentDelta);
+          send('chat:delta', update);
+        }
+        if (Array.isArray(delta?.tool_calls)) {
+          round.received = true;
+          delta.tool_calls.forEach((fragment, i) => mergeToolCall(fragment, i));
+        }
+        if (chunk.usage) reply.usage = round.usage = chunk.usage;
+      }
+    } else {
+      const b = await res.json();
+      markFirstToken();
+      const message = b.choices?.[0]?.message;
+      const content = typeof message?.content === 'string' && message.content ? appendContent(message.content) : '';
+      if (content) send('chat:delta', { content, reasoning: '' });
+      if (Array.isArray(message?.tool_calls)) message.tool_calls.forEach((call, i) => mergeToolCall({ ...call, index: i }, i));
+      if (b.usage) reply.usage = round.usage = b.usage;
+      if (b.model) reply.servedModel = b.model;
+      reply.finishReason = b.choices?.[0]?.finish_reason || null;
+    }
+  }
+
+  // The built-in Inception provider, for its code endpoints
+  async function resolveInception(feature) {
+    const [settings, keys] = await Promise.all([readSettings(), readApiKeys()]);
+    const resolved = resolveProvider('inception', settings, keys);
+    if (resolved.error) {
+      return { error: { title: 'API Key Required', message: `${feature} uses Inception's API directly. Please set an Inception API key in the settings.` } };
+    }
+    return resolved;
+  }
+
+  // Fill-in-the-middle with Mercury Coder. request: { requestId, prompt, suffix }
+  // where prompt is the code before the cursor and suffix the code after it.
+  // The infill streams back as chat:delta events and one chat:done.
+  async function startFim(sender, request) {
+    const requestId = request?.requestId;
+    const invalid = checkRequestId(requestId);
+    if (invalid) return invalid;
+    const { prompt, suffix } = request;
+    if (typeof prompt !== 'string' || typeof suffix !== 'string' || prompt.length + suffix.length > MAX_CODE_CHARS) {
+      return { ok: false, error: { title: 'Invalid Request', message: 'Malformed code.' } };
+    }
+    if (!prompt.trim() && !suffix.trim()) {
+      return { ok: false, error: { title: 'Nothing to Complete', message: 'Write some code before or after the cursor first.' } };
+    }
+    const resolved = await resolveInception('Code completion');
+    if (resolved.error) return { ok: false, error: resolved.error };
+    const payload = { model: FIM_MODEL, prompt, suffix, max_tokens: FIM_MAX_TOKENS, stream: true };
+    return launchCompletion(sender, requestId, resolved, '/fim/completions', payload);
+  }
+
+  // Apply-edit with Mercury Edit. request: { requestId, code, instruction }
+  // where instruction says what to change (or is an edited snippet of the
+  // code). The rewritten code streams back like startFim's infill.
+  async function startApply(sender, request) {
+    const requestId = request?.requestId;
+    const invalid = checkRequestId(requestId);
+    if (invalid) return invalid;
+    const { code, instruction } = request;
+    if (typeof code !== 'string' || typeof instruction !== 'string' || code.length > MAX_CODE_CHARS || instruction.length > MAX_INSTRUCTION_CHARS) {
+      return { ok: false, error: { title: 'Invalid Request', message: 'Malformed code or instruction.' } };
+    }
+    if (!code.trim() || !instruction.trim()) {
+      return { ok: false, error: { title: 'Nothing to Edit', message: 'Add the original code and describe the change first.' } };
+    }
+    const resolved = await resolveInception('Code editing');
+    if (resolved.error) return { ok: false, error: resolved.error };
+    const content = `<|original_code|>\n${code}\n<|/original_code|>\n\n<|update_snippet|>\n${instruction}\n<|/update_snippet|>`;
+    const payload = { model: APPLY_MODEL, messages: [{ role: 'user', content }], max_tokens: APPLY_MAX_TOKENS, stream: true };
+    return launchCompletion(sender, requestId, resolved, '/apply/completions', payload);
+  }
+
+  function launchCompletion(sender, requestId, resolved, endpoint, payload) {
+    const controller = new AbortController();
+    activeRequests.set(requestId, controller);
+    const url = `${resolved.provider.baseUrl}${endpoint}`;
+    streamCompletion(sender, requestId, { url, provider: resolved.provider, apiKey: resolved.apiKey, payload }, controller)
+      .finally(() => activeRequests.delete(requestId));
+    return { ok: true };
+  }
+
+  // A single completion from one of Inception's code endpoints, streamed as
+  // chat:delta events and one chat:done. Unlike chat replies there are no
+  // retries or tools; completions carry text, chat-style replies content.
+  async function streamCompletion(sender, requestId, { url, provider, apiKey, payload }, controller) {
+    const send = (channel, data) => {
+      if (!sender.isDestroyed()) sender.send(channel, { requestId, ...data });
+    };
+    const startedAt = Date.now();
+    const reply = { content: '', usage: null, servedModel: null, finishReason: null, ttftMs: null };
+    let error = null;
+    const append = (choice) => {
+      const text = choice?.text ?? choice?.delta?.content ?? choice?.message?.content;
+      if (typeof text !== 'string' || !text) return;
+      if (reply.ttftMs === null) reply.ttftMs = Date.now() - startedAt;
+      reply.content += text;
+      send('chat:delta', { content: text, reasoning: '' });
+    };
+
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: buildHeaders(provider, apiKey),
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+      if (!res.ok) throw new ProviderRequestError(await readErrorMessage(res), { status: res.status });
+      const chunks = (res.headers.get('content-type') || '').includes('text/event-stream')
+        ? readEventStream(res.body)
+        : [await res.json()];
+      for await (const chunk of chunks) {
+        if (chunk.model) reply.servedModel = chunk.model;
+        if (chunk.choices?.[0]?.finish_reason) reply.finishReason = chunk.choices[0].finish_reason;
+        append(chunk.choices?.[0]);
+        if (chunk.usage) reply.usage = chunk.usage;
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') reply.finishReason = 'aborted';
+      else error = err.message;
+    }
+
+    send('chat:done', {
+      content: reply.content,
+      reasoning: '',
+      usage: reply.usage,
+      error,
+      meta: {
+        model: reply.servedModel || payload.model,
+        provider: 'inception',
+        promptTokens: reply.usage?.prompt_tokens ?? null,
+        completionTokens: reply.usage?.completion_tokens ?? null,
+        ttftMs: reply.ttftMs,
+        latencyMs: Date.now() - startedAt,
+        finishReason: reply.finishReason
+      }
+    });
+  }
+
+  // Resolves true once the user allows the call, false if they deny it or
+  // the reply is stopped first
+  function waitForApproval(requestId, callId, signal) {
+    const key = `${requestId}:${callId}`;
+    return new Promise((resolve) => {
+      const onAbort = () => settle(false);
+      const settle = (approved) => {
+        pendingApprovals.delete(key);
+        signal.removeEventListener('abort', onAbort);
+        resolve(approved);
+      };
+      if (signal.aborted) return resolve(false);
+      pendingApprovals.set(key, settle);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  function approveTool(requestId, callId, approved) {
+    const settle = pendingApprovals.get(`${requestId}:${callId}`);
+    if (!settle) return false;
+    settle(approved === true);
+    return true;
+  }
+
+  function abort(requestId) {
+    const controller = activeRequests.get(requestId);
+    if (!controller) return false;
+    controller.abort();
+    return true;
+  }
+
+  // Short title for a new conversation, or null if the request fails
+  async function generateTitle(firstUserMessage, providerId) {
+    if (typeof firstUserMessage !== 'string' || !firstUserMessage.trim()) return null;
+    if (providerId != null && typeof providerId !== 'string') return null;
+    const target = await resolveTarget(providerId);
+    if (target.error) return null;
+    try {
+      const res = await fetch(target.provider.url, {
+        method: 'POST',
+        headers: buildHeaders(target.provider, target.apiKey),
+        body: JSON.stringify({
+          model: target.resolvedModel,
+          messages: [{ role: 'user', content: `Write a short title (4 words or fewer) for a conversation that starts with: "${firstUserMessage.substring(0, 200)}". Reply with only the title, no quotes or punctuation.` }],
+          max_tokens: 20,
+          stream: false
+        })
+      });
+      if (!res.ok) return null;
+      const data = await res.json();
+      return data.choices?.[0]?.message?.content?.trim() || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return { start, startFim, startApply, abort, approveTool, generateTitle };
+}
+
+module.exports = { createChatService, sanitizeCustomProviders, sanitizeSamplingParams, listProviders, isBuiltinProvider, resolveProvider, modelsUrl, PROVIDERS };
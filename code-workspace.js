@@ -0,0 +1,601 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Tim Tully
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+// Code workspace: fill-in-the-middle completion with Mercury Coder and
+// apply-edit with Mercury Edit. Both stream from the main process like a
+// chat reply. The infill is shown in place between the prefix and suffix.
+// An edit is shown as a side-by-side diff whose changes can be accepted or
+// rejected one by one.
+(function() {
+  if (!window.electronAPI) return;
+
+  // Prism language id -> file extension for saving
+  const LANGUAGES = [
+    ['python', 'Python', 'py'],
+    ['javascript', 'JavaScript', 'js'],
+    ['typescript', 'TypeScript', 'ts'],
+    ['jsx', 'JSX', 'jsx'],
+    ['tsx', 'TSX', 'tsx'],
+    ['go', 'Go', 'go'],
+    ['rust', 'Rust', 'rs'],
+    ['java', 'Java', 'java'],
+    ['kotlin', 'Kotlin', 'kt'],
+    ['swift', 'Swift', 'swift'],
+    ['c', 'C', 'c'],
+    ['cpp', 'C++', 'cpp'],
+    ['csharp', 'C#', 'cs'],
+    ['ruby', 'Ruby', 'rb'],
+    ['php', 'PHP', 'php'],
+    ['bash', 'Shell', 'sh'],
+    ['sql', 'SQL', 'sql'],
+    ['markup', 'HTML', 'html'],
+    ['css', 'CSS', 'css'],
+    ['json', 'JSON', 'json'],
+    ['yaml', 'YAML', 'yaml'],
+    ['markdown', 'Markdown', 'md'],
+    ['plain', 'Plain text', 'txt']
+  ];
+
+  const modal = document.getElementById('code-modal');
+
+  // ── Fill in the middle ──
+
+  const languageSelect = document.getElementById('fim-language');
+  const prefixInput = document.getElementById('fim-prefix');
+  const suffixInput = document.getElementById('fim-suffix');
+  const runBtn = document.getElementById('fim-run-btn');
+  const stopBtn = document.getElementById('fim-stop-btn');
+  const statusEl = document.getElementById('fim-status');
+  const resultWrap = document.getElementById('fim-result-wrap');
+  const resultEl = document.getElementById('fim-result');
+
+  for (const [id, label] of LANGUAGES) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    languageSelect.appendChild(option);
+  }
+
+  // The completion in progress or last finished: { requestId, prefix, infill, suffix, language }
+  let current = null;
+
+  function setStatus(el, text, isError = false) {
+    el.textContent = text;
+    el.classList.toggle('error', isError);
+  }
+
+  function setRunning(run, stop, running) {
+    run.disabled = running;
+    stop.style.display = running ? '' : 'none';
+  }
+
+  // Wraps the characters in [start, end) of container's text in <mark>
+  // elements, splitting text nodes (and crossing Prism's token spans) as needed
+  function markRange(container, start, end) {
+    if (end <= start) return;
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    let offset = 0;
+    for (const node of nodes) {
+      const length = node.nodeValue.length;
+      const from = Math.max(start - offset, 0);
+      const to = Math.min(end - offset, length);
+      offset += length;
+      if (from >= to) continue;
+      let target = node;
+      if (from > 0) target = target.splitText(from);
+      if (to - from < target.nodeValue.length) target.splitText(to - from);
+      const mark = document.createElement('mark');
+      mark.className = 'fim-infill';
+      target.parentNode.replaceChild(mark, target);
+      mark.appendChild(target);
+    }
+  }
+
+  function describeRun({ latencyMs, completionTokens, finishReason } = {}) {
+    const parts = [`${(latencyMs / 1000).toFixed(2)}s`];
+    if (completionTokens != null) parts.push(`${completionTokens} tokens`);
+    if (finishReason === 'aborted') parts.push('stopped');
+    else if (finishReason === 'length') parts.push('cut off at the token limit');
+    return parts.join(' · ');
+  }
+
+  // Plain text while streaming; highlighted once the language's grammar is loaded
+  function renderResult(completion, highlight) {
+    const { prefix, infill, suffix, language } = completion;
+    const code = prefix + infill + suffix;
+    resultEl.className = `language-${language}`;
+    resultEl.textContent = code;
+    const finish = () => {
+      markRange(resultEl, prefix.length, prefix.length + infill.length);
+      resultEl.querySelector('mark.fim-infill')?.scrollIntoView({ block: 'nearest' });
+    };
+    if (!highlight || typeof Prism === 'undefined' || language === 'plain') return finish();
+    const apply = () => {
+      // A newer completion may have started while the grammar loaded
+      if (completion !== current) return;
+      const grammar = Prism.languages[language];
+      if (grammar) resultEl.innerHTML = Prism.highlight(code, grammar, language);
+      finish();
+    };
+    if (Prism.languages[language] || !Prism.plugins?.autoloader) apply();
+    else Prism.plugins.autoloader.loadLanguages([language], apply, finish);
+  }
+
+  window.electronAPI.onChatDelta(({ requestId, content }) => {
+    if (!current || requestId !== current.requestId || !content) return;
+    current.infill += content;
+    renderResult(current, false);
+  });
+
+  window.electronAPI.onChatDone((result) => {
+    if (!current || result.requestId !== current.requestId) return;
+    const done = current;
+    done.requestId = null;
+    setRunning(runBtn, stopBtn, false);
+    if (result.error) {
+      setStatus(statusEl, result.error, true);
+      if (!done.infill) resultWrap.style.display = 'none';
+      return;
+    }
+    done.infill = result.content;
+    renderResult(done, true);
+    setStatus(statusEl, done.infill ? describeRun(result.meta) : 'Mercury Coder had nothing to add here');
+  });
+
+  async function runCompletion() {
+    if (current?.requestId) return;
+    const prefix = prefixInput.value;
+    const suffix = suffixInput.value;
+    current = { requestId: crypto.randomUUID(), prefix, infill: '', suffix, language: languageSelect.value };
+    setRunning(runBtn, stopBtn, true);
+    setStatus(statusEl, 'Completing…');
+    resultWrap.style.display = '';
+    renderResult(current, false);
+    const started = await window.electronAPI.startFim({ requestId: current.requestId, prompt: prefix, suffix });
+    if (!started.ok) {
+      current.requestId = null;
+      setRunning(runBtn, stopBtn, false);
+      resultWrap.style.display = 'none';
+      setStatus(statusEl, started.error.message, true);
+    }
+  }
+
+  function flash(btn, text) {
+    const label = btn.textContent;
+    btn.textContent = text;
+    setTimeout(() => { btn.textContent = label; }, 1500);
+  }
+
+  runBtn.addEventListener('click', runCompletion);
+  stopBtn.addEventListener('click', () => {
+    if (current?.requestId) window.electronAPI.abortChat(current.requestId);
+  });
+  for (const input of [prefixInput, suffixInput]) {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+        e.preventDefault();
+        runCompletion();
+      } else if (e.key === 'Tab' && !e.shiftKey) {
+        // Indent instead of leaving the editor
+        e.preventDefault();
+        document.execCommand('insertText', false, '    ');
+      }
+    });
+  }
+
+  document.getElementById('fim-copy-infill-btn').addEventListener('click', (e) => {
+    if (!current) return;
+    navigator.clipboard.writeText(current.infill).then(() => flash(e.target, 'Copied!'));
+  });
+  document.getElementById('fim-copy-all-btn').addEventListener('click', (e) => {
+    if (!current) return;
+    navigator.clipboard.writeText(current.prefix + current.infill + current.suffix).then(() => flash(e.target, 'Copied!'));
+  });
+  document.getElementById('fim-save-btn').addEventListener('click', async (e) => {
+    if (!current) return;
+    const extension = LANGUAGES.find(([id]) => id === current.language)?.[2] || 'txt';
+    const saved = await window.electronAPI.saveFile(current.prefix + current.infill + current.suffix, `completion.${extension}`);
+    if (saved) flash(e.target, 'Saved');
+  });
+
+  // ── Edit code ──
+
+  const editOriginal = document.getElementById('edit-original');
+  const editInstruction = document.getElementById('edit-instruction');
+  const editRunBtn = document.getElementById('edit-run-btn');
+  const editStopBtn = document.getElementById('edit-stop-btn');
+  const editStatusEl = document.getElementById('edit-status');
+  const editFileName = document.getElementById('edit-file-name');
+  const editResultWrap = document.getElementById('edit-result-wrap');
+  const editDiff = document.getElementById('edit-diff');
+  const editSummary = document.getElementById('edit-diff-summary');
+  const editWriteBtn = document.getElementById('edit-write-btn');
+
+  // Unchanged lines shown around each change
+  const DIFF_CONTEXT = 3;
+  // Past this many changed lines the diff stops aligning and replaces the
+  // differing middle wholesale, so huge rewrites don't stall the window
+  const MAX_DIFF_EDITS = 2000;
+
+  // The edit in progress or last finished: { requestId, original, updated, eol, segments }
+  let edit = null;
+  // The file the original code was loaded from: { fileId, name, content }
+  let openedFile = null;
+
+  // Myers' O(ND) line diff. Returns [{ type: 'same' | 'del' | 'add', line }]
+  function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+    return [
+      ...a.slice(0, start).map((line) => ({ type: 'same', line })),
+      ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+      ...a.slice(endA).map((line) => ({ type: 'same', line }))
+    ];
+  }
+
+  // Moving from diagonal k to the one with the furthest reach at step d
+  function previousDiagonal(reach, d, k) {
+    return k === -d || (k !== d && reach(k - 1) < reach(k + 1)) ? k + 1 : k - 1;
+  }
+
+  function diffMiddle(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const replaceAll = () => [...a.map((line) => ({ type: 'del', line })), ...b.map((line) => ({ type: 'add', line }))];
+    if (!n || !m) return replaceAll();
+    const max = n + m;
+    // Furthest x reached on each diagonal k, at index k + max + 1
+    const v = new Int32Array(2 * max + 3);
+    const reach = (k) => v[k + max + 1];
+    // trace[d] keeps diagonals -d-1..d+1 of v as they were before step d
+    const trace = [];
+    for (let d = 0; d <= Math.min(max, MAX_DIFF_EDITS); d++) {
+      trace.push(v.slice(max - d, max + d + 3));
+      for (let k = -d; k <= d; k += 2) {
+        const prevK = previousDiagonal(reach, d, k);
+        let x = prevK === k + 1 ? reach(prevK) : reach(prevK) + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+        v[k + max + 1] = x;
+        if (x >= n && y >= m) return backtrack(a, b, trace);
+      }
+    }
+    return replaceAll();
+  }
+
+  function backtrack(a, b, trace) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const reach = (k) => trace[d][k + d + 1];
+      const prevK = previousDiagonal(reach, d, x - y);
+      const prevX = reach(prevK);
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        ops.push({ type: 'same', line: a[x] });
+      }
+      if (d > 0) ops.push(x === prevX ? { type: 'add', line: b[y - 1] } : { type: 'del', line: a[x - 1] });
+      x = prevX;
+      y = prevY;
+    }
+    return ops.reverse();
+  }
+
+  // Groups the diff into runs of unchanged lines and changes. Each change is
+  // a hunk the user accepts or rejects.
+  function buildSegments(ops) {
+    const segments = [];
+    let oldNo = 1;
+    let newNo = 1;
+    for (const op of ops) {
+      let last = segments[segments.length - 1];
+      if (op.type === 'same') {
+        if (last?.type !== 'same') segments.push(last = { type: 'same', lines: [] });
+        last.lines.push({ text: op.line, oldNo: oldNo++, newNo: newNo++ });
+      } else {
+        if (last?.type !== 'change') segments.push(last = { type: 'change', removed: [], added: [], accepted: true });
+        if (op.type === 'del') last.removed.push({ text: op.line, no: oldNo++ });
+        else last.added.push({ text: op.line, no: newNo++ });
+      }
+    }
+    return segments;
+  }
+
+  // The original with the accepted changes applied
+  function editResult(done) {
+    return done.segments.flatMap((segment) => {
+      if (segment.type === 'same') return segment.lines.map((line) => line.text);
+      return (segment.accepted ? segment.added : segment.removed).map((line) => line.text);
+    }).join(done.eol);
+  }
+
+  // Models sometimes wrap the rewritten file in a Markdown fence
+  function stripFence(text) {
+    const match = text.match(/^\s*```[^\n]*\n([\s\S]*?)\n?```\s*$/);
+    return match ? match[1] : text;
+  }
+
+  function diffRow(left, right) {
+    const row = document.createElement('div');
+    row.className = 'diff-row';
+    for (const [cell, kind] of [[left, 'diff-del'], [right, 'diff-add']]) {
+      const num = document.createElement('span');
+      num.className = 'diff-num';
+      const text = document.createElement('span');
+      text.className = 'diff-text';
+      if (cell) {
+        num.textContent = cell.no;
+        text.textContent = cell.text;
+        if (cell.changed) text.classList.add(kind);
+      } else {
+        text.classList.add('diff-empty');
+      }
+      row.append(num, text);
+    }
+    return row;
+  }
+
+  function skipRow(count) {
+    const row = document.createElement('div');
+    row.className = 'diff-skip';
+    row.textContent = `⋯ ${count} unchanged line${count === 1 ? '' : 's'}`;
+    return row;
+  }
+
+  function renderDiff(done) {
+    editDiff.textContent = '';
+    const changes = done.segments.filter((segment) => segment.type === 'change');
+    done.segments.forEach((segment, index) => {
+      if (segment.type === 'same') {
+        const { lines } = segment;
+        const head = index === 0 ? 0 : DIFF_CONTEXT;
+        const tail = index === done.segments.length - 1 ? 0 : DIFF_CONTEXT;
+        const context = (line) => diffRow({ no: line.oldNo, text: line.text }, { no: line.newNo, text: line.text });
+        if (lines.length <= head + tail + 1) {
+          lines.forEach((line) => editDiff.appendChild(context(line)));
+          return;
+        }
+        lines.slice(0, head).forEach((line) => editDiff.appendChild(context(line)));
+        editDiff.appendChild(skipRow(lines.length - head - tail));
+        lines.slice(lines.length - tail).forEach((line) => editDiff.appendChild(context(line)));
+        return;
+      }
+      const hunk = document.createElement('div');
+      hunk.className = 'diff-hunk';
+      const bar = document.createElement('div');
+      bar.className = 'diff-hunk-bar';
+      const label = document.createElement('span');
+      label.textContent = `Change ${changes.indexOf(segment) + 1} of ${changes.length} · −${segment.removed.length} +${segment.added.length}`;
+      const acceptBtn = document.createElement('button');
+      acceptBtn.textContent = 'Accept';
+      const rejectBtn = document.createElement('button');
+      rejectBtn.textContent = 'Reject';
+      bar.append(label, acceptBtn, rejectBtn);
+      hunk.appendChild(bar);
+      for (let i = 0; i < Math.max(segment.removed.length, segment.added.length); i++) {
+        const removed = segment.removed[i];
+        const added = segment.added[i];
+        hunk.appendChild(diffRow(removed && { ...removed, changed: true }, added && { ...added, changed: true }));
+      }
+      segment.update = () => {
+        hunk.classList.toggle('rejected', !segment.accepted);
+        acceptBtn.classList.toggle('active', segment.accepted);
+        rejectBtn.classList.toggle('active', !segment.accepted);
+      };
+      acceptBtn.addEventListener('click', () => setAccepted(done, [segment], true));
+      rejectBtn.addEventListener('click', () => setAccepted(done, [segment], false));
+      segment.update();
+      editDiff.appendChild(hunk);
+    });
+    updateSummary(done);
+  }
+
+  function setAccepted(done, segments, accepted) {
+    for (const segment of segments) {
+      segment.accepted = accepted;
+      segment.update();
+    }
+    updateSummary(done);
+  }
+
+  function updateSummary(done) {
+    const changes = done.segments.filter((segment) => segment.type === 'change');
+    const accepted = changes.filter((segment) => segment.accepted).length;
+    editSummary.textContent = changes.length
+      ? `${accepted} of ${changes.length} change${changes.length === 1 ? '' : 's'} accepted`
+      : 'No changes';
+    // Writing back only makes sense while the diff is against the file as opened
+    const canWrite = !!openedFile && done.original === openedFile.content;
+    editWriteBtn.style.display = canWrite ? '' : 'none';
+    if (canWrite) editWriteBtn.textContent = `Write to ${openedFile.name}`;
+  }
+
+  window.electronAPI.onChatDelta(({ requestId, content }) => {
+    if (!edit || requestId !== edit.requestId || !content) return;
+    edit.updated += content;
+    editDiff.textContent = '';
+    const pre = document.createElement('pre');
+    pre.textContent = edit.updated;
+    editDiff.appendChild(pre);
+    editDiff.scrollTop = editDiff.scrollHeight;
+  });
+
+  window.electronAPI.onChatDone((result) => {
+    if (!edit || result.requestId !== edit.requestId) return;
+    const done = edit;
+    done.requestId = null;
+    setRunning(editRunBtn, editStopBtn, false);
+    const finishReason = result.meta?.finishReason;
+    if (result.error || finishReason === 'aborted' || !result.content.trim()) {
+      editResultWrap.style.display = 'none';
+      if (result.error) setStatus(editStatusEl, result.error, true);
+      else setStatus(editStatusEl, finishReason === 'aborted' ? 'Stopped' : 'Mercury Edit returned no code');
+      return;
+    }
+    let updated = stripFence(result.content);
+    // Keep the original's trailing newline so it doesn't show up as a change
+    if (/\n$/.test(done.original) && !/\n$/.test(updated)) updated += '\n';
+    else if (!/\n$/.test(done.original)) updated = updated.replace(/\r?\n$/, '');
+    done.updated = updated;
+    done.segments = buildSegments(diffLines(done.original.split(/\r?\n/), updated.split(/\r?\n/)));
+    renderDiff(done);
+    const status = describeRun(result.meta);
+    if (finishReason === 'length') setStatus(editStatusEl, `${status}. The end of the file is missing; reject the last change.`, true);
+    else setStatus(editStatusEl, status);
+  });
+
+  async function runEdit() {
+    if (edit?.requestId) return;
+    const original = editOriginal.value;
+    edit = {
+      requestId: crypto.randomUUID(),
+      original,
+      updated: '',
+      eol: original.includes('\r\n') ? '\r\n' : '\n',
+      segments: []
+    };
+    setRunning(editRunBtn, editStopBtn, true);
+    setStatus(editStatusEl, 'Editing…');
+    editResultWrap.style.display = '';
+    editDiff.textContent = '';
+    editSummary.textContent = '';
+    editWriteBtn.style.display = 'none';
+    const started = await window.electronAPI.startApply({ requestId: edit.requestId, code: original, instruction: editInstruction.value });
+    if (!started.ok) {
+      edit.requestId = null;
+      setRunning(editRunBtn, editStopBtn, false);
+      editResultWrap.style.display = 'none';
+      setStatus(editStatusEl, started.error.message, true);
+    }
+  }
+
+  async function openEditFile() {
+    let file;
+    try {
+      file = await window.electronAPI.openFile();
+    } catch (err) {
+      // ipcRenderer.invoke prefixes the main process's message
+      setStatus(editStatusEl, err.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''), true);
+      return;
+    }
+    if (!file) return;
+    if (file.content.includes('\0')) {
+      setStatus(editStatusEl, `${file.name} looks like a binary file`, true);
+      return;
+    }
+    openedFile = file;
+    editOriginal.value = file.content;
+    editFileName.textContent = `— ${file.name}`;
+    setStatus(editStatusEl, `Loaded ${file.name}`);
+    editInstruction.focus();
+  }
+
+  editRunBtn.addEventListener('click', runEdit);
+  editStopBtn.addEventListener('click', () => {
+    if (edit?.requestId) window.electronAPI.abortChat(edit.requestId);
+  });
+  document.getElementById('edit-open-btn').addEventListener('click', openEditFile);
+  for (const input of [editOriginal, editInstruction]) {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+        e.preventDefault();
+        runEdit();
+      } else if (e.key === 'Tab' && !e.shiftKey && input === editOriginal) {
+        e.preventDefault();
+        document.execCommand('insertText', false, '    ');
+      }
+    });
+  }
+
+  document.getElementById('edit-accept-all-btn').addEventListener('click', () => {
+    if (edit?.segments.length) setAccepted(edit, edit.segments.filter((segment) => segment.type === 'change'), true);
+  });
+  document.getElementById('edit-reject-all-btn').addEventListener('click', () => {
+    if (edit?.segments.length) setAccepted(edit, edit.segments.filter((segment) => segment.type === 'change'), false);
+  });
+  document.getElementById('edit-copy-btn').addEventListener('click', (e) => {
+    if (!edit?.segments.length) return;
+    navigator.clipboard.writeText(editResult(edit)).then(() => flash(e.target, 'Copied!'));
+  });
+  document.getElementById('edit-save-btn').addEventListener('click', async (e) => {
+    if (!edit?.segments.length) return;
+    const saved = await window.electronAPI.saveFile(editResult(edit), openedFile?.name || 'edited.txt');
+    if (saved) flash(e.target, 'Saved');
+  });
+  editWriteBtn.addEventListener('click', async () => {
+    if (!edit?.segments.length || !openedFile || edit.original !== openedFile.content) return;
+    const content = editResult(edit);
+    const written = await window.electronAPI.writeOpenedFile(openedFile.fileId, content);
+    if (!written.ok) {
+      setStatus(editStatusEl, written.error, true);
+      return;
+    }
+    // The written file is the starting point for the next edit
+    openedFile.content = content;
+    editOriginal.value = content;
+    editResultWrap.style.display = 'none';
+    setStatus(editStatusEl, `Wrote ${openedFile.name}`);
+  });
+
+  // ── Workspace ──
+
+  const tabs = modal.querySelectorAll('.code-tab');
+
+  function showPanel(panelId) {
+    for (const tab of tabs) {
+      const active = tab.dataset.panel === panelId;
+      tab.classList.toggle('active', active);
+      document.getElementById(tab.dataset.panel).style.display = active ? '' : 'none';
+    }
+  }
+
+  for (const tab of tabs) {
+    tab.addEventListener('click', () => showPanel(tab.dataset.panel));
+  }
+
+  function closeWorkspace() {
+    modal.classList.remove('open');
+  }
+
+  document.addEventListener('openCodeWorkspace', () => {
+    modal.classList.add('open');
+    const editing = document.getElementById('edit-panel').style.display !== 'none';
+    setTimeout(() => (editing ? editOriginal : prefixInput).focus(), 100);
+  });
+  document.getElementById('code-modal-close').addEventListener('click', closeWorkspace);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeWorkspace();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('open')) closeWorkspace();
+  });
+})();
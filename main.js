@@ -22,26 +22,27 @@
  * SOFTWARE.
  */
 
-const { app, BrowserWindow, Menu, Tray, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, Menu, Tray, ipcMain, dialog, safeStorage } = require('electron');
 const path = require('path');
 const os = require('os');
-const Database = require('better-sqlite3');
+const Database = require('better-sqlite3-multiple-ciphers');
 const { autoUpdater } = require('electron-updater');
+const { createChatService, sanitizeCustomProviders, sanitizeSamplingParams, listProviders, isBuiltinProvider } = require('./chat-service');
+const { createModelCatalog, MODEL_ID } = require('./model-catalog');
+const { createBuiltinTools, combineTools } = require('./tools');
+const { createMcpManager, sanitizeMcpServers } = require('./mcp-client');
+const zlib = require('zlib');
+const crypto = require('crypto');
 
 // Database setup
 let db;
 
-function initDatabase() {
-  try {
-    const dbPath = path.join(app.getPath('userData'), 'inception-chat.db');
-    db = new Database(dbPath);
-
-    // Enable WAL mode for crash safety and set synchronous writes
-    db.pragma('journal_mode = WAL');
-    db.pragma('synchronous = NORMAL');
-    db.pragma('foreign_keys = ON');
-
-    // Create tables
+// Ordered schema migrations, keyed on PRAGMA user_version. Step N upgrades a
+// database from version N to N + 1 and runs in its own transaction. Never edit
+// or reorder a step that has shipped — append a new one instead.
+const MIGRATIONS = [
+  // 1: baseline schema (databases created before versioning already have it)
+  (db) => {
     db.exec(`
       CREATE TABLE IF NOT EXISTS conversations (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -59,15 +60,313 @@ function initDatabase() {
         FOREIGN KEY (conversation_id) REFERENCES conversations (id)
       );
     `);
+  },
+  // 2: full-text index over message contents, kept in sync by triggers
+  (db) => {
+    db.exec(`
+      CREATE VIRTUAL TABLE messages_fts USING fts5(
+        content,
+        content = 'messages',
+        content_rowid = 'id',
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER messages_fts_ai AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+      END;
+
+      CREATE TRIGGER messages_fts_ad AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+      END;
+
+      CREATE TRIGGER messages_fts_au AFTER UPDATE OF content ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+      END;
+
+      INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+    `);
+  },
+  // 3: messages form a tree so edits and regenerations become sibling branches;
+  // existing conversations are linear, so each message's parent is the one before it
+  (db) => {
+    db.exec(`
+      ALTER TABLE messages ADD COLUMN parent_id INTEGER REFERENCES messages (id);
+      ALTER TABLE conversations ADD COLUMN current_leaf_id INTEGER;
+
+      UPDATE messages SET parent_id = (
+        SELECT MAX(p.id) FROM messages p
+        WHERE p.conversation_id = messages.conversation_id AND p.id < messages.id
+      );
+      UPDATE conversations SET current_leaf_id = (
+        SELECT MAX(id) FROM messages WHERE conversation_id = conversations.id
+      );
+
+      CREATE INDEX idx_messages_conversation ON messages (conversation_id);
+      CREATE INDEX idx_messages_parent ON messages (parent_id);
+    `);
+  },
+  // 4: per-message generation metadata for assistant replies
+  (db) => {
+    db.exec(`
+      ALTER TABLE messages ADD COLUMN model TEXT;
+      ALTER TABLE messages ADD COLUMN provider TEXT;
+      ALTER TABLE messages ADD COLUMN prompt_tokens INTEGER;
+      ALTER TABLE messages ADD COLUMN completion_tokens INTEGER;
+      ALTER TABLE messages ADD COLUMN ttft_ms INTEGER;
+      ALTER TABLE messages ADD COLUMN latency_ms INTEGER;
+      ALTER TABLE messages ADD COLUMN finish_reason TEXT;
+      ALTER TABLE messages ADD COLUMN reasoning_effort TEXT;
+    `);
+  },
+  // 5: reasoning traces streamed alongside assistant replies
+  (db) => {
+    db.exec('ALTER TABLE messages ADD COLUMN reasoning TEXT;');
+  },
+  // 6: pinned, starred and archived conversations
+  (db) => {
+    db.exec(`
+      ALTER TABLE conversations ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE conversations ADD COLUMN starred INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE conversations ADD COLUMN archived INTEGER NOT NULL DEFAULT 0;
+
+      CREATE INDEX idx_conversations_recents ON conversations (archived, pinned, updated_at);
+    `);
+  },
+  // 7: user-defined folders (one per conversation) and free-form tags
+  (db) => {
+    db.exec(`
+      CREATE TABLE folders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE conversation_folders (
+        conversation_id INTEGER PRIMARY KEY REFERENCES conversations (id) ON DELETE CASCADE,
+        folder_id INTEGER NOT NULL REFERENCES folders (id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE
+      );
+
+      CREATE TABLE conversation_tags (
+        conversation_id INTEGER NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+        PRIMARY KEY (conversation_id, tag_id)
+      );
+
+      CREATE INDEX idx_conversation_folders_folder ON conversation_folders (folder_id);
+      CREATE INDEX idx_conversation_tags_tag ON conversation_tags (tag_id);
+    `);
+  },
+  // 8: soft delete; trashed conversations keep their messages until purged
+  (db) => {
+    db.exec(`
+      ALTER TABLE conversations ADD COLUMN deleted_at DATETIME;
+      CREATE INDEX idx_conversations_deleted ON conversations (deleted_at);
+    `);
+  },
+  // 9: provider chosen for each chat; NULL means the default provider
+  (db) => {
+    db.exec('ALTER TABLE conversations ADD COLUMN provider TEXT');
+  },
+  // 10: per-conversation sampling overrides as JSON; NULL uses the defaults
+  (db) => {
+    db.exec('ALTER TABLE conversations ADD COLUMN sampling_params TEXT');
+  },
+  // 11: tools the model called while writing a reply, as a JSON array
+  (db) => {
+    db.exec('ALTER TABLE messages ADD COLUMN tool_calls TEXT');
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS.length;
 
-    // Reset currentConversationId on startup (don't continue old conversations)
-    currentConversationId = null;
+class DatabaseTooNewError extends Error {
+  constructor(version) {
+    super(`This chat history was created by a newer version of Inception (schema v${version}, this build supports up to v${SCHEMA_VERSION}). Please update the app.`);
+    this.name = 'DatabaseTooNewError';
+  }
+}
+
+function backupDatabase(dbPath, fromVersion) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = `${dbPath}.v${fromVersion}-${stamp}.bak`;
+  // VACUUM INTO writes a consistent snapshot, including anything still in the WAL
+  db.prepare('VACUUM INTO ?').run(backupPath);
+}
+
+function migrateDatabase(dbPath) {
+  const version = db.pragma('user_version', { simple: true });
+  if (version > SCHEMA_VERSION) throw new DatabaseTooNewError(version);
+  if (version === SCHEMA_VERSION) return;
+
+  // Only back up databases that actually hold data; a brand-new file has nothing to lose
+  const hasTables = db.prepare("SELECT COUNT(*) FROM sqlite_master WHERE type = 'table'").pluck().get() > 0;
+  if (hasTables) backupDatabase(dbPath, version);
+
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    db.transaction(() => {
+      MIGRATIONS[v](db);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+function getDatabasePath() {
+  return path.join(app.getPath('userData'), 'inception-chat.db');
+}
+
+// Opt-in at-rest encryption. db-encryption.json records the mode but never a
+// usable key: 'passphrase' databases stay locked until the user unlocks them,
+// 'safeStorage' databases use a random key wrapped by the OS keychain.
+const ENCRYPTION_MODES = ['passphrase', 'safeStorage'];
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function getEncryptionConfigPath() {
+  return path.join(app.getPath('userData'), 'db-encryption.json');
+}
+
+function readEncryptionConfig() {
+  try {
+    const parsed = JSON.parse(fsSync.readFileSync(getEncryptionConfigPath(), 'utf8'));
+    return ENCRYPTION_MODES.includes(parsed.mode) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function unwrapSafeStorageKey(config) {
+  if (!config.wrappedKey || !safeStorage.isEncryptionAvailable()) return null;
+  try {
+    return Buffer.from(safeStorage.decryptString(Buffer.from(config.wrappedKey, 'base64')), 'hex');
   } catch (error) {
-    console.error('Failed to initialize database:', error);
+    console.error('Failed to unwrap database key:', error);
+    return null;
+  }
+}
+
+// Returns false while the database is encrypted and no working key is available
+function initDatabase(key = null) {
+  if (db && db.open) return true;
+  const encryption = readEncryptionConfig();
+  if (encryption && !key) {
+    key = encryption.mode === 'safeStorage' ? unwrapSafeStorageKey(encryption) : null;
+    if (!key) return false;
+  }
+  try {
+    const dbPath = getDatabasePath();
+    db = new Database(dbPath);
+    if (key) {
+      db.key(key);
+      // A wrong key only shows up once a page is read
+      db.prepare('SELECT COUNT(*) FROM sqlite_master').get();
+    }
+
+    // Enable WAL mode for crash safety and set synchronous writes
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.pragma('foreign_keys = ON');
+
+    migrateDatabase(dbPath);
+    return true;
+  } catch (error) {
+    if (db) db.close();
     db = null;
+    if (key && error.code === 'SQLITE_NOTADB') return false;
+    console.error('Failed to initialize database:', error);
+    if (error instanceof DatabaseTooNewError) {
+      dialog.showErrorBox('Chat History Unavailable', error.message);
+    }
+    return false;
+  }
+}
+
+// Backups taken before schema migrations hold the history in plaintext
+function removePlaintextBackups() {
+  const dir = path.dirname(getDatabasePath());
+  const prefix = path.basename(getDatabasePath()) + '.v';
+  for (const name of fsSync.readdirSync(dir)) {
+    if (name.startsWith(prefix) && name.endsWith('.bak')) fsSync.unlinkSync(path.join(dir, name));
   }
 }
 
+// SQLite3MultipleCiphers can't rekey a database in WAL mode
+function rekeyDatabase(key) {
+  db.pragma('journal_mode = DELETE');
+  try {
+    db.rekey(key);
+  } finally {
+    db.pragma('journal_mode = WAL');
+  }
+}
+
+ipcMain.handle('db:encryption-status', async () => {
+  const config = readEncryptionConfig();
+  return {
+    enabled: !!config,
+    mode: config ? config.mode : null,
+    locked: !!config && !db,
+    safeStorageAvailable: safeStorage.isEncryptionAvailable()
+  };
+});
+
+ipcMain.handle('db:unlock', async (event, passphrase) => {
+  if (db) return true;
+  if (typeof passphrase !== 'string' || !passphrase) return false;
+  if (!initDatabase(Buffer.from(passphrase, 'utf8'))) return false;
+  readTrashRetentionDays().then(purgeExpiredTrash);
+  return true;
+});
+
+ipcMain.handle('db:enable-encryption', async (event, options = {}) => {
+  if (!db) return { ok: false, error: 'Chat history is not available.' };
+  if (readEncryptionConfig()) return { ok: false, error: 'Chat history is already encrypted.' };
+  const mode = options && options.mode;
+  if (!ENCRYPTION_MODES.includes(mode)) return { ok: false, error: 'Unknown encryption mode.' };
+
+  let key;
+  let config;
+  if (mode === 'passphrase') {
+    if (typeof options.passphrase !== 'string' || options.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return { ok: false, error: `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.` };
+    }
+    key = Buffer.from(options.passphrase, 'utf8');
+    config = { mode };
+  } else {
+    if (!safeStorage.isEncryptionAvailable()) return { ok: false, error: 'The system keychain is not available.' };
+    const keyHex = crypto.randomBytes(32).toString('hex');
+    key = Buffer.from(keyHex, 'hex');
+    config = { mode, wrappedKey: safeStorage.encryptString(keyHex).toString('base64') };
+  }
+
+  try {
+    rekeyDatabase(key);
+    fsSync.writeFileSync(getEncryptionConfigPath(), JSON.stringify(config, null, 2), { mode: 0o600 });
+    removePlaintextBackups();
+    return { ok: true };
+  } catch (error) {
+    console.error('Error encrypting database:', error);
+    return { ok: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db:disable-encryption', async () => {
+  if (!db) return { ok: false, error: 'Unlock chat history first.' };
+  if (!readEncryptionConfig()) return { ok: true };
+  try {
+    rekeyDatabase(Buffer.alloc(0));
+    fsSync.unlinkSync(getEncryptionConfigPath());
+    return { ok: true };
+  } catch (error) {
+    console.error('Error decrypting database:', error);
+    return { ok: false, error: error.message };
+  }
+});
+
 // Keep reference to prevent garbage collection
 let mainWindow;
 let tray;
@@ -380,6 +679,12 @@ ipcMain.handle('update:download', async (_event, downloadUrl) => {
 app.whenReady().then(() => {
   createWindow();
   createTray();
+  // A passphrase-locked database is purged once it is unlocked instead
+  if (db) readTrashRetentionDays().then(purgeExpiredTrash);
+  setInterval(() => {
+    if (db) readTrashRetentionDays().then(purgeExpiredTrash);
+  }, TRASH_PURGE_INTERVAL_MS);
+  readSettings().then((settings) => mcpManager.sync(settings.mcpServers));
   // Check for updates 5 seconds after startup
   setTimeout(() => {
     autoUpdater.checkForUpdates().catch(err => {
@@ -407,6 +712,7 @@ app.on('activate', () => {
 
 app.on('before-quit', () => {
   app.isQuiting = true;
+  mcpManager.stopAll();
   // Close database connection
   if (db) {
     db.close();
@@ -414,104 +720,879 @@ app.on('before-quit', () => {
 });
 
 // Database IPC handlers
-let currentConversationId = null;
+function parseConversationId(conversationId) {
+  const id = parseInt(conversationId, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
 
 ipcMain.handle('db:create-conversation', async (event, title) => {
   if (!db) return null;
   const safeTitle = (typeof title === 'string' && title.trim())
     ? title.trim().substring(0, 200)
     : 'New Chat';
-  const stmt = db.prepare('INSERT INTO conversations (title) VALUES (?)');
-  const result = stmt.run(safeTitle);
-  currentConversationId = result.lastInsertRowid;
-  return currentConversationId;
+  try {
+    const result = db.prepare('INSERT INTO conversations (title) VALUES (?)').run(safeTitle);
+    return result.lastInsertRowid;
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    return null;
+  }
 });
 
-ipcMain.handle('db:save-message', async (event, role, content) => {
+const MAX_REASONING_CHARS = 500000;
+const MAX_SAVED_TOOL_CALLS = 50;
+const MAX_TOOL_CALL_CHARS = 4000;
+
+// Tool calls as a JSON array of { name, arguments, result, error }, or null.
+// Accepts the array itself or its JSON text (as stored and exported).
+function sanitizeToolCalls(value) {
+  let calls = value;
+  if (typeof calls === 'string') {
+    try {
+      calls = JSON.parse(calls);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(calls)) return null;
+  const text = (v) => (typeof v === 'string' && v) ? v.substring(0, MAX_TOOL_CALL_CHARS) : null;
+  const saved = calls
+    .filter((c) => c && typeof c === 'object' && typeof c.name === 'string' && c.name.trim())
+    .slice(0, MAX_SAVED_TOOL_CALLS)
+    .map((c) => ({ name: c.name.trim().substring(0, 100), arguments: text(c.arguments), result: text(c.result), error: text(c.error) }));
+  return saved.length > 0 ? JSON.stringify(saved) : null;
+}
+
+// Whitelist the generation metadata the renderer reports for an assistant reply
+function sanitizeGenerationMeta(meta) {
+  const empty = { model: null, provider: null, prompt_tokens: null, completion_tokens: null, ttft_ms: null, latency_ms: null, finish_reason: null, reasoning_effort: null, reasoning: null, tool_calls: null };
+  if (!meta || typeof meta !== 'object') return empty;
+  const str = (v) => (typeof v === 'string' && v.trim()) ? v.trim().substring(0, 100) : null;
+  const count = (v) => (Number.isFinite(v) && v >= 0) ? Math.round(v) : null;
+  return {
+    model: str(meta.model),
+    provider: str(meta.provider),
+    prompt_tokens: count(meta.promptTokens),
+    completion_tokens: count(meta.completionTokens),
+    ttft_ms: count(meta.ttftMs),
+    latency_ms: count(meta.latencyMs),
+    finish_reason: str(meta.finishReason),
+    reasoning_effort: str(meta.reasoningEffort),
+    reasoning: (typeof meta.reasoning === 'string' && meta.reasoning.trim()) ? meta.reasoning.substring(0, MAX_REASONING_CHARS) : null,
+    tool_calls: sanitizeToolCalls(meta.toolCalls)
+  };
+}
+
+// parentId is the message this one replies to (null for the first message).
+// Saving a second child under the same parent is how edits and regenerations
+// branch; the new message always becomes the conversation's active leaf.
+// meta carries generation details (model, usage, timings, reasoning trace, tool calls) for assistant replies.
+ipcMain.handle('db:save-message', async (event, conversationId, role, content, parentId = null, meta = null) => {
   if (!db) return null;
 
+  const id = parseConversationId(conversationId);
+  if (!id) return null;
   if (role !== 'user' && role !== 'assistant') return null;
   if (typeof content !== 'string' || !content.trim()) return null;
 
   try {
-    if (role === 'user') {
-      currentConversationId = null;
+    // Trashed conversations are read-only until restored
+    const exists = db.prepare('SELECT 1 FROM conversations WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!exists) return null;
+
+    let parent = null;
+    if (parentId !== null && parentId !== undefined) {
+      parent = parseConversationId(parentId);
+      if (!parent || !db.prepare('SELECT 1 FROM messages WHERE id = ? AND conversation_id = ?').get(parent, id)) return null;
     }
 
-    if (!currentConversationId) {
-      const title = content.length > 50 ? content.substring(0, 50) + '...' : content;
-      try {
-        const stmt = db.prepare('INSERT INTO conversations (title) VALUES (?)');
-        const result = stmt.run(title);
-        currentConversationId = result.lastInsertRowid;
-      } catch (convError) {
-        console.error('Error creating conversation:', convError);
-        return null;
-      }
-    }
-
-    try {
-      const stmt = db.prepare('INSERT INTO messages (conversation_id, role, content) VALUES (?, ?, ?)');
-      const result = stmt.run(currentConversationId, role, content);
-      db.prepare('UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(currentConversationId);
-      return result.lastInsertRowid;
-    } catch (msgError) {
-      console.error('Error saving message:', msgError);
-      return null;
-    }
+    const generation = sanitizeGenerationMeta(role === 'assistant' ? meta : null);
+    const result = db.prepare(`
+      INSERT INTO messages (conversation_id, role, content, parent_id, model, provider, prompt_tokens,
+                            completion_tokens, ttft_ms, latency_ms, finish_reason, reasoning_effort, reasoning, tool_calls)
+      VALUES (@conversation_id, @role, @content, @parent_id, @model, @provider, @prompt_tokens,
+              @completion_tokens, @ttft_ms, @latency_ms, @finish_reason, @reasoning_effort, @reasoning, @tool_calls)
+    `).run({ conversation_id: id, role, content, parent_id: parent, ...generation });
+    db.prepare('UPDATE conversations SET current_leaf_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(result.lastInsertRowid, id);
+    return result.lastInsertRowid;
   } catch (error) {
-    console.error('Unexpected error in save-message:', error);
+    console.error('Error saving message:', error);
     return null;
   }
 });
 
-ipcMain.handle('db:get-recent-chats', async () => {
-  if (!db) return [];
-  const stmt = db.prepare(`
-    SELECT c.id, c.title, c.updated_at,
-           (SELECT content FROM messages WHERE conversation_id = c.id AND role = 'user' ORDER BY created_at ASC LIMIT 1) as first_message
+// JSON array of a conversation's tag names, for use inside a SELECT over `conversations c`
+const TAG_NAMES_SQL = `(SELECT json_group_array(name) FROM (
+  SELECT t.name FROM conversation_tags ct JOIN tags t ON t.id = ct.tag_id
+  WHERE ct.conversation_id = c.id ORDER BY t.name
+))`;
+
+const RECENT_CHATS_PAGE_SIZE = 30;
+const RECENT_CHATS_MAX_PAGE_SIZE = 200;
+const RECENT_CHATS_FILTERS = ['all', 'starred', 'archived', 'trash'];
+
+// Keyset pagination: the cursor is the (pinned, updated_at, id) of the last row
+// on the previous page, so pages stay stable while new messages bump other chats.
+// Pinned chats sort first; archived chats only appear under the 'archived' filter.
+// Trashed chats only appear under 'trash', most recently deleted first.
+ipcMain.handle('db:get-recent-chats', async (event, options = {}) => {
+  if (!db) return { chats: [], nextCursor: null };
+  const opts = (options && typeof options === 'object') ? options : {};
+
+  let limit = parseInt(opts.limit, 10);
+  if (!Number.isInteger(limit) || limit <= 0) limit = RECENT_CHATS_PAGE_SIZE;
+  limit = Math.min(limit, RECENT_CHATS_MAX_PAGE_SIZE);
+
+  const filter = RECENT_CHATS_FILTERS.includes(opts.filter) ? opts.filter : 'all';
+  const trash = filter === 'trash';
+  const where = trash
+    ? ['c.deleted_at IS NOT NULL']
+    : ['c.deleted_at IS NULL', filter === 'archived' ? 'c.archived = 1' : 'c.archived = 0'];
+  const params = [];
+  if (filter === 'starred') where.push('c.starred = 1');
+  const folderId = parseConversationId(opts.folderId);
+  if (folderId) {
+    where.push('c.id IN (SELECT conversation_id FROM conversation_folders WHERE folder_id = ?)');
+    params.push(folderId);
+  }
+
+  const cursor = opts.cursor;
+  const cursorId = cursor ? parseConversationId(cursor.id) : null;
+  if (trash && cursorId && typeof cursor.deletedAt === 'string') {
+    where.push('(c.deleted_at < ? OR (c.deleted_at = ? AND c.id < ?))');
+    params.push(cursor.deletedAt, cursor.deletedAt, cursorId);
+  } else if (!trash && cursorId && typeof cursor.updatedAt === 'string') {
+    const pinned = cursor.pinned ? 1 : 0;
+    where.push('(c.pinned < ? OR (c.pinned = ? AND (c.updated_at < ? OR (c.updated_at = ? AND c.id < ?))))');
+    params.push(pinned, pinned, cursor.updatedAt, cursor.updatedAt, cursorId);
+  }
+
+  const chats = db.prepare(`
+    SELECT c.id, c.title, c.updated_at, c.pinned, c.starred, c.archived, c.deleted_at,
+           (SELECT content FROM messages WHERE conversation_id = c.id AND role = 'user' ORDER BY id ASC LIMIT 1) as first_message,
+           (SELECT folder_id FROM conversation_folders WHERE conversation_id = c.id) as folder_id,
+           ${TAG_NAMES_SQL} as tags
     FROM conversations c
-    ORDER BY c.updated_at DESC
-    LIMIT 20
-  `);
-  return stmt.all();
+    WHERE ${where.join(' AND ')}
+    ORDER BY ${trash ? 'c.deleted_at DESC, c.id DESC' : 'c.pinned DESC, c.updated_at DESC, c.id DESC'}
+    LIMIT ?
+  `).all(...params, limit);
+  for (const chat of chats) chat.tags = JSON.parse(chat.tags);
+
+  const last = chats[chats.length - 1];
+  const nextCursor = chats.length === limit
+    ? { pinned: last.pinned, updatedAt: last.updated_at, deletedAt: last.deleted_at, id: last.id }
+    : null;
+  return { chats, nextCursor };
 });
 
+// Follow the newest child at every step to find the leaf a branch ends in
+function findLatestLeaf(messageId) {
+  const newestChild = db.prepare('SELECT MAX(id) FROM messages WHERE parent_id = ?').pluck();
+  let id = messageId;
+  for (let child = newestChild.get(id); child; child = newestChild.get(id)) id = child;
+  return id;
+}
+
+// Returns the active branch root-to-leaf. Each message carries sibling_ids
+// (every alternative under the same parent, oldest first) for branch navigation.
 ipcMain.handle('db:get-conversation-messages', async (event, conversationId) => {
   if (!db) return [];
-  const id = parseInt(conversationId, 10);
-  if (!Number.isInteger(id) || id <= 0) return [];
-  const stmt = db.prepare('SELECT * FROM messages WHERE conversation_id = ? ORDER BY created_at ASC');
-  return stmt.all(id);
+  const id = parseConversationId(conversationId);
+  if (!id) return [];
+
+  const conversation = db.prepare('SELECT current_leaf_id FROM conversations WHERE id = ?').get(id);
+  if (!conversation) return [];
+  let leafId = conversation.current_leaf_id;
+  if (!leafId || !db.prepare('SELECT 1 FROM messages WHERE id = ? AND conversation_id = ?').get(leafId, id)) {
+    leafId = db.prepare('SELECT MAX(id) FROM messages WHERE conversation_id = ?').pluck().get(id);
+  }
+  if (!leafId) return [];
+
+  // Parents always predate their children, so id order is root-to-leaf order
+  const messages = db.prepare(`
+    WITH RECURSIVE branch (id) AS (
+      SELECT ?
+      UNION ALL
+      SELECT m.parent_id FROM messages m JOIN branch ON m.id = branch.id WHERE m.parent_id IS NOT NULL
+    )
+    SELECT m.* FROM messages m JOIN branch ON m.id = branch.id
+    WHERE m.conversation_id = ?
+    ORDER BY m.id ASC
+  `).all(leafId, id);
+
+  const siblings = db.prepare('SELECT id FROM messages WHERE conversation_id = ? AND parent_id IS ? ORDER BY id ASC').pluck();
+  for (const message of messages) {
+    message.sibling_ids = siblings.all(id, message.parent_id);
+  }
+  return messages;
 });
 
-ipcMain.handle('db:new-chat', async () => {
-  if (!db) return true;
-  currentConversationId = null;
-  return true;
+// Make the branch through messageId the one shown for this conversation
+ipcMain.handle('db:set-active-branch', async (event, conversationId, messageId) => {
+  if (!db) return null;
+  const id = parseConversationId(conversationId);
+  const msgId = parseConversationId(messageId);
+  if (!id || !msgId) return null;
+  if (!db.prepare('SELECT 1 FROM messages WHERE id = ? AND conversation_id = ?').get(msgId, id)) return null;
+  const leafId = findLatestLeaf(msgId);
+  db.prepare('UPDATE conversations SET current_leaf_id = ? WHERE id = ?').run(leafId, id);
+  return leafId;
+});
+
+// Snippet highlight markers; the renderer turns these into <mark> elements
+const SEARCH_MARK_START = '\u0002';
+const SEARCH_MARK_END = '\u0003';
+const MAX_SEARCH_RESULTS = 50;
+
+// Quote every term so user input can't inject FTS5 syntax; the last term is a
+// prefix match so results update while the user is still typing
+function toFtsQuery(query) {
+  const terms = query.split(/\s+/).filter(Boolean).slice(0, 16);
+  if (!terms.length) return null;
+  return terms.map((term, i) => {
+    const quoted = '"' + term.replace(/"/g, '""') + '"';
+    return i === terms.length - 1 ? quoted + '*' : quoted;
+  }).join(' ');
+}
+
+// Pull `tag:name` and `folder:name` (or `folder:"Client work"`) filters out of
+// a search string; whatever is left is matched against message text
+function parseSearchQuery(query) {
+  const tags = [];
+  const folders = [];
+  const text = query.replace(/(?:^|\s)(tag|folder):("[^"]*"|\S+)/gi, (match, kind, value) => {
+    const name = value.replace(/^"|"$/g, '').trim();
+    if (name) (kind.toLowerCase() === 'tag' ? tags : folders).push(name.replace(/^#/, ''));
+    return ' ';
+  }).trim();
+  return { text, tags, folders };
+}
+
+ipcMain.handle('db:search', async (event, query) => {
+  if (!db || typeof query !== 'string') return [];
+  const { text, tags, folders } = parseSearchQuery(query.trim().substring(0, 200));
+
+  // Every tag and folder filter must match (AND), on top of any text match
+  const scope = ['c.deleted_at IS NULL'];
+  const scopeParams = [];
+  for (const tag of tags) {
+    scope.push('c.id IN (SELECT ct.conversation_id FROM conversation_tags ct JOIN tags t ON t.id = ct.tag_id WHERE t.name = ?)');
+    scopeParams.push(tag);
+  }
+  for (const folder of folders) {
+    scope.push('c.id IN (SELECT cf.conversation_id FROM conversation_folders cf JOIN folders f ON f.id = cf.folder_id WHERE f.name = ?)');
+    scopeParams.push(folder);
+  }
+  const scopeSql = scope.map(clause => ' AND ' + clause).join('');
+
+  try {
+    if (!text) {
+      if (!tags.length && !folders.length) return [];
+      return db.prepare(`
+        SELECT c.id AS conversation_id, c.title, c.updated_at, c.archived,
+               NULL AS message_id, NULL AS snippet, 0 AS score, 0 AS match_count
+        FROM conversations c
+        WHERE 1 = 1${scopeSql}
+        ORDER BY c.updated_at DESC
+        LIMIT ?
+      `).all(...scopeParams, MAX_SEARCH_RESULTS);
+    }
+
+    const ftsQuery = toFtsQuery(text);
+    if (!ftsQuery) return [];
+    const hits = db.prepare(`
+      SELECT m.conversation_id, m.id AS message_id, c.title, c.updated_at, c.archived,
+             snippet(messages_fts, 0, ?, ?, '\u2026', 12) AS snippet,
+             bm25(messages_fts) AS score
+      FROM messages_fts
+      JOIN messages m ON m.id = messages_fts.rowid
+      JOIN conversations c ON c.id = m.conversation_id
+      WHERE messages_fts MATCH ?${scopeSql}
+      ORDER BY score
+      LIMIT 500
+    `).all(SEARCH_MARK_START, SEARCH_MARK_END, ftsQuery, ...scopeParams);
+
+    // Collapse to one result per conversation, keeping its best-ranked message
+    const byConversation = new Map();
+    for (const hit of hits) {
+      const existing = byConversation.get(hit.conversation_id);
+      if (existing) {
+        existing.match_count++;
+      } else {
+        byConversation.set(hit.conversation_id, { ...hit, match_count: 1 });
+      }
+    }
+
+    // Conversations whose title matches but whose messages don't still count
+    const pattern = '%' + text.replace(/[\\%_]/g, '\\$&') + '%';
+    const titleHits = db.prepare(`
+      SELECT c.id AS conversation_id, c.title, c.updated_at, c.archived
+      FROM conversations c
+      WHERE c.title LIKE ? ESCAPE '\\'${scopeSql}
+      ORDER BY c.updated_at DESC
+      LIMIT ?
+    `).all(pattern, ...scopeParams, MAX_SEARCH_RESULTS);
+    for (const hit of titleHits) {
+      if (!byConversation.has(hit.conversation_id)) {
+        byConversation.set(hit.conversation_id, { ...hit, message_id: null, snippet: null, score: 0, match_count: 0 });
+      }
+    }
+
+    return [...byConversation.values()]
+      .sort((a, b) => (b.match_count > 0) - (a.match_count > 0) || a.score - b.score)
+      .slice(0, MAX_SEARCH_RESULTS);
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    return [];
+  }
 });
 
-ipcMain.handle('db:update-conversation-title', async (event, title) => {
-  if (!db || !currentConversationId) return false;
+ipcMain.handle('db:update-conversation-title', async (event, conversationId, title) => {
+  if (!db) return false;
+  const id = parseConversationId(conversationId);
+  if (!id) return false;
   const safeTitle = (typeof title === 'string' && title.trim())
     ? title.trim().substring(0, 200)
     : null;
   if (!safeTitle) return false;
   db.prepare('UPDATE conversations SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-    .run(safeTitle, currentConversationId);
+    .run(safeTitle, id);
+  return true;
+});
+
+ipcMain.handle('db:get-conversation', async (event, conversationId) => {
+  if (!db) return null;
+  const id = parseConversationId(conversationId);
+  if (!id) return null;
+  const row = db.prepare('SELECT id, title, provider, sampling_params, pinned, starred, archived, deleted_at FROM conversations WHERE id = ?').get(id);
+  if (!row) return null;
+  let samplingParams = {};
+  try {
+    samplingParams = sanitizeSamplingParams(JSON.parse(row.sampling_params)) || {};
+  } catch (e) {
+    // stored before any override was set
+  }
+  return { ...row, sampling_params: samplingParams };
+});
+
+ipcMain.handle('db:set-conversation-sampling', async (event, conversationId, params) => {
+  if (!db) return false;
+  const id = parseConversationId(conversationId);
+  if (!id) return false;
+  const samplingParams = sanitizeSamplingParams(params);
+  if (!samplingParams) return false;
+  const json = Object.keys(samplingParams).length > 0 ? JSON.stringify(samplingParams) : null;
+  db.prepare('UPDATE conversations SET sampling_params = ? WHERE id = ?').run(json, id);
+  return true;
+});
+
+// The provider is stored as given; a chat whose custom provider was later
+// removed reports that when the next message is sent
+ipcMain.handle('db:set-conversation-provider', async (event, conversationId, providerId) => {
+  if (!db) return false;
+  const id = parseConversationId(conversationId);
+  if (!id) return false;
+  if (providerId !== null && (typeof providerId !== 'string' || !providerId || providerId.length > 64)) return false;
+  db.prepare('UPDATE conversations SET provider = ? WHERE id = ?').run(providerId, id);
+  return true;
+});
+
+// Flags only change how a chat is listed, so they don't bump updated_at
+function setConversationFlag(column, conversationId, value) {
+  if (!db) return false;
+  const id = parseConversationId(conversationId);
+  if (!id) return false;
+  db.prepare(`UPDATE conversations SET ${column} = ? WHERE id = ?`).run(value ? 1 : 0, id);
+  return true;
+}
+
+ipcMain.handle('db:pin-conversation', async (event, conversationId, pinned) => setConversationFlag('pinned', conversationId, pinned));
+ipcMain.handle('db:star-conversation', async (event, conversationId, starred) => setConversationFlag('starred', conversationId, starred));
+ipcMain.handle('db:archive-conversation', async (event, conversationId, archived) => setConversationFlag('archived', conversationId, archived));
+
+// Folders and tags
+const MAX_FOLDER_NAME = 60;
+const MAX_TAG_NAME = 40;
+const MAX_TAGS_PER_CONVERSATION = 20;
+
+function sanitizeFolderName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim().substring(0, MAX_FOLDER_NAME);
+  return trimmed || null;
+}
+
+// Tags are single words so they can be typed as `tag:name` in search
+function sanitizeTagName(name) {
+  if (typeof name !== 'string') return null;
+  const cleaned = name.trim().replace(/^#+/, '').replace(/\s+/g, '-').substring(0, MAX_TAG_NAME);
+  return cleaned || null;
+}
+
+ipcMain.handle('db:get-folders', async () => {
+  if (!db) return [];
+  return db.prepare(`
+    SELECT f.id, f.name, COUNT(c.id) AS conversation_count
+    FROM folders f
+    LEFT JOIN conversation_folders cf ON cf.folder_id = f.id
+    LEFT JOIN conversations c ON c.id = cf.conversation_id AND c.archived = 0 AND c.deleted_at IS NULL
+    GROUP BY f.id
+    ORDER BY f.name COLLATE NOCASE
+  `).all();
+});
+
+ipcMain.handle('db:create-folder', async (event, name) => {
+  if (!db) return null;
+  const safeName = sanitizeFolderName(name);
+  if (!safeName) return null;
+  const existing = db.prepare('SELECT id FROM folders WHERE name = ?').pluck().get(safeName);
+  if (existing) return existing;
+  return db.prepare('INSERT INTO folders (name) VALUES (?)').run(safeName).lastInsertRowid;
+});
+
+ipcMain.handle('db:rename-folder', async (event, folderId, name) => {
+  if (!db) return false;
+  const id = parseConversationId(folderId);
+  const safeName = sanitizeFolderName(name);
+  if (!id || !safeName) return false;
+  try {
+    db.prepare('UPDATE folders SET name = ? WHERE id = ?').run(safeName, id);
+    return true;
+  } catch (error) {
+    // UNIQUE constraint: another folder already has this name
+    console.error('Error renaming folder:', error);
+    return false;
+  }
+});
+
+// Conversations in a deleted folder go back to being unfiled
+ipcMain.handle('db:delete-folder', async (event, folderId) => {
+  if (!db) return false;
+  const id = parseConversationId(folderId);
+  if (!id) return false;
+  db.prepare('DELETE FROM folders WHERE id = ?').run(id);
   return true;
 });
 
+ipcMain.handle('db:move-conversation-to-folder', async (event, conversationId, folderId) => {
+  if (!db) return false;
+  const id = parseConversationId(conversationId);
+  if (!id) return false;
+  if (folderId === null || folderId === undefined) {
+    db.prepare('DELETE FROM conversation_folders WHERE conversation_id = ?').run(id);
+    return true;
+  }
+  const folder = parseConversationId(folderId);
+  if (!folder || !db.prepare('SELECT 1 FROM folders WHERE id = ?').get(folder)) return false;
+  db.prepare(`
+    INSERT INTO conversation_folders (conversation_id, folder_id) VALUES (?, ?)
+    ON CONFLICT (conversation_id) DO UPDATE SET folder_id = excluded.folder_id
+  `).run(id, folder);
+  return true;
+});
+
+ipcMain.handle('db:get-tags', async () => {
+  if (!db) return [];
+  return db.prepare(`
+    SELECT t.id, t.name, COUNT(ct.conversation_id) AS conversation_count
+    FROM tags t
+    JOIN conversation_tags ct ON ct.tag_id = t.id
+    JOIN conversations c ON c.id = ct.conversation_id AND c.deleted_at IS NULL
+    GROUP BY t.id
+    ORDER BY t.name COLLATE NOCASE
+  `).all();
+});
+
+// Replaces the conversation's tags with `names`, creating tags as needed
+ipcMain.handle('db:set-conversation-tags', async (event, conversationId, names) => {
+  if (!db) return null;
+  const id = parseConversationId(conversationId);
+  if (!id || !Array.isArray(names)) return null;
+  const byKey = new Map();
+  for (const name of names.map(sanitizeTagName).filter(Boolean)) {
+    if (!byKey.has(name.toLowerCase())) byKey.set(name.toLowerCase(), name);
+  }
+  const tagNames = [...byKey.values()].slice(0, MAX_TAGS_PER_CONVERSATION);
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM conversation_tags WHERE conversation_id = ?').run(id);
+    const findTag = db.prepare('SELECT id FROM tags WHERE name = ?').pluck();
+    const insertTag = db.prepare('INSERT INTO tags (name) VALUES (?)');
+    const linkTag = db.prepare('INSERT OR IGNORE INTO conversation_tags (conversation_id, tag_id) VALUES (?, ?)');
+    for (const name of tagNames) {
+      const tagId = findTag.get(name) || insertTag.run(name).lastInsertRowid;
+      linkTag.run(id, tagId);
+    }
+    db.prepare('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM conversation_tags)').run();
+  })();
+  return tagNames;
+});
+
+// Trash: deleting moves a conversation to the trash; purging removes it for good
+const TRASH_RETENTION_OPTIONS = [0, 7, 30, 90, 365];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+// Long-running sessions also purge on this interval, not just at startup
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function purgeConversations(whereSql, ...params) {
+  return db.transaction(() => {
+    const ids = db.prepare(`SELECT id FROM conversations WHERE deleted_at IS NOT NULL AND ${whereSql}`).pluck().all(...params);
+    const deleteMessages = db.prepare('DELETE FROM messages WHERE conversation_id = ?');
+    const deleteConversation = db.prepare('DELETE FROM conversations WHERE id = ?');
+    for (const id of ids) {
+      deleteMessages.run(id);
+      deleteConversation.run(id);
+    }
+    if (ids.length) db.prepare('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM conversation_tags)').run();
+    return ids.length;
+  })();
+}
+
+// A retention of 0 days keeps trashed conversations until emptied by hand
+function purgeExpiredTrash(retentionDays) {
+  if (!db || !retentionDays) return 0;
+  try {
+    return purgeConversations("deleted_at < datetime('now', ?)", `-${retentionDays} days`);
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    return 0;
+  }
+}
+
+async function readTrashRetentionDays() {
+  try {
+    const content = await fs.readFile(path.join(app.getPath('userData'), 'settings.json'), 'utf8');
+    const parsed = JSON.parse(content);
+    if (TRASH_RETENTION_OPTIONS.includes(parsed.trashRetentionDays)) return parsed.trashRetentionDays;
+  } catch (e) {
+    // no settings saved yet
+  }
+  return DEFAULT_TRASH_RETENTION_DAYS;
+}
+
 ipcMain.handle('db:delete-conversation', async (event, conversationId) => {
   if (!db) return false;
-  const id = parseInt(conversationId, 10);
-  if (!Number.isInteger(id) || id <= 0) return false;
-  db.prepare('DELETE FROM messages WHERE conversation_id = ?').run(id);
-  db.prepare('DELETE FROM conversations WHERE id = ?').run(id);
-  if (currentConversationId === id) currentConversationId = null;
+  const id = parseConversationId(conversationId);
+  if (!id) return false;
+  db.prepare('UPDATE conversations SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL').run(id);
   return true;
 });
 
+ipcMain.handle('db:restore-conversation', async (event, conversationId) => {
+  if (!db) return false;
+  const id = parseConversationId(conversationId);
+  if (!id) return false;
+  db.prepare('UPDATE conversations SET deleted_at = NULL WHERE id = ?').run(id);
+  return true;
+});
+
+// Only conversations already in the trash can be purged
+ipcMain.handle('db:purge-conversation', async (event, conversationId) => {
+  if (!db) return false;
+  const id = parseConversationId(conversationId);
+  if (!id) return false;
+  return purgeConversations('id = ?', id) > 0;
+});
+
+ipcMain.handle('db:empty-trash', async () => {
+  if (!db) return 0;
+  return purgeConversations('1 = 1');
+});
+
+// Full history export and import
+const EXPORT_FORMAT = 'inception-chat-export';
+const EXPORT_FORMAT_VERSION = 1;
+const MESSAGE_EXPORT_COLUMNS = ['model', 'provider', 'prompt_tokens', 'completion_tokens', 'ttft_ms',
+  'latency_ms', 'finish_reason', 'reasoning_effort', 'reasoning', 'tool_calls'];
+
+// Every conversation outside the trash, with all branches and folder/tag names
+function buildHistoryExport() {
+  const conversations = db.prepare(`
+    SELECT c.id, c.title, c.created_at, c.updated_at, c.pinned, c.starred, c.archived, c.current_leaf_id,
+           (SELECT f.name FROM conversation_folders cf JOIN folders f ON f.id = cf.folder_id WHERE cf.conversation_id = c.id) AS folder,
+           ${TAG_NAMES_SQL} AS tags
+    FROM conversations c
+    WHERE c.deleted_at IS NULL
+    ORDER BY c.id ASC
+  `).all();
+  const messages = db.prepare(`
+    SELECT id, parent_id, role, content, created_at, ${MESSAGE_EXPORT_COLUMNS.join(', ')}
+    FROM messages WHERE conversation_id = ? ORDER BY id ASC
+  `);
+  for (const conversation of conversations) {
+    conversation.tags = JSON.parse(conversation.tags);
+    conversation.messages = messages.all(conversation.id);
+  }
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations
+  };
+}
+
+// Root-to-leaf path ending at the conversation's active leaf
+function activeBranchOf(conversation) {
+  const byId = new Map(conversation.messages.map(m => [m.id, m]));
+  let node = byId.get(conversation.current_leaf_id) || conversation.messages[conversation.messages.length - 1];
+  const branch = [];
+  while (node) {
+    branch.unshift(node);
+    node = byId.get(node.parent_id);
+  }
+  return branch;
+}
+
+// Same layout as the per-chat export in the renderer
+function conversationToMarkdown(conversation, includeReasoning) {
+  let md = `# ${conversation.title || 'Conversation'}\n_Created ${conversation.created_at} UTC_\n\n`;
+  for (const m of activeBranchOf(conversation)) {
+    md += `**${m.role === 'user' ? 'You' : 'Assistant'}**\n\n`;
+    if (includeReasoning && m.reasoning) {
+      md += `<details>\n<summary>Reasoning</summary>\n\n${m.reasoning}\n\n</details>\n\n`;
+    }
+    md += `${m.content}\n\n---\n\n`;
+  }
+  return md;
+}
+
+function toFileSlug(text, fallback) {
+  const slug = String(text || '').replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase().substring(0, 60);
+  return slug || fallback;
+}
+
+// One Markdown file per conversation, grouped into a directory per folder
+function buildMarkdownArchive(includeReasoning) {
+  const entries = buildHistoryExport().conversations
+    .filter(c => c.messages.length)
+    .map(c => {
+      const dir = c.folder ? toFileSlug(c.folder, 'folder') + '/' : '';
+      const name = `${c.created_at.substring(0, 10)}-${toFileSlug(c.title, 'conversation')}-${c.id}.md`;
+      return { name: dir + name, data: Buffer.from(conversationToMarkdown(c, includeReasoning), 'utf8'), date: parseDbTimestamp(c.updated_at) };
+    });
+  return createZip(entries);
+}
+
+function parseDbTimestamp(value) {
+  const date = new Date(String(value).replace(' ', 'T') + 'Z');
+  return isNaN(date) ? new Date() : date;
+}
+
+// Minimal zip writer (deflate, UTF-8 names) so the archive needs no extra dependency
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const compressed = zlib.deflateRawSync(entry.data);
+    const crc = zlib.crc32(entry.data);
+    const d = entry.date;
+    const dosTime = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+    const dosDate = (Math.max(d.getFullYear() - 1980, 0) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);           // version needed
+    local.writeUInt16LE(0x0800, 6);       // UTF-8 file names
+    local.writeUInt16LE(8, 8);            // deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    localParts.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);         // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// Imported rows keep their original times, stored the way CURRENT_TIMESTAMP
+// writes them (UTC 'YYYY-MM-DD HH:MM:SS'). Numbers are Unix seconds.
+function toDbTimestamp(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) return value;
+  let date = null;
+  if (typeof value === 'number' && Number.isFinite(value)) date = new Date(value * 1000);
+  else if (typeof value === 'string') date = new Date(value);
+  if (!date || isNaN(date)) return null;
+  return date.toISOString().substring(0, 19).replace('T', ' ');
+}
+
+// Normalizes our own export and ChatGPT's conversations.json into
+// [{ title, created_at, updated_at, flags, folder, tags, messages: [{ key, parentKey, role, content, ... }], leafKey }]
+// with every parent listed before its children.
+function normalizeImport(data) {
+  if (data && data.format === EXPORT_FORMAT && Array.isArray(data.conversations)) {
+    return data.conversations.map(c => ({
+      title: typeof c.title === 'string' ? c.title : null,
+      created_at: toDbTimestamp(c.created_at),
+      updated_at: toDbTimestamp(c.updated_at),
+      pinned: c.pinned ? 1 : 0,
+      starred: c.starred ? 1 : 0,
+      archived: c.archived ? 1 : 0,
+      folder: typeof c.folder === 'string' ? c.folder : null,
+      tags: Array.isArray(c.tags) ? c.tags : [],
+      leafKey: c.current_leaf_id,
+      messages: (Array.isArray(c.messages) ? c.messages : []).map(m => ({ ...m, key: m.id, parentKey: m.parent_id }))
+    }));
+  }
+  if (Array.isArray(data) && data.every(c => c && typeof c.mapping === 'object')) {
+    return data.map(normalizeChatGptConversation);
+  }
+  throw new Error('Unrecognized file. Expected an Inception export or a ChatGPT conversations.json.');
+}
+
+function chatGptMessageText(message) {
+  const content = message.content || {};
+  if (Array.isArray(content.parts)) {
+    return content.parts.filter(part => typeof part === 'string').join('\n\n');
+  }
+  return typeof content.text === 'string' ? content.text : '';
+}
+
+// ChatGPT stores each conversation as a tree in `mapping`. System, tool and
+// empty nodes are skipped and their children re-parented to the nearest kept ancestor.
+function normalizeChatGptConversation(conversation) {
+  const mapping = conversation.mapping;
+  const messages = [];
+  const keptAncestor = new Map();
+  const roots = Object.keys(mapping).filter(id => !mapping[id].parent || !mapping[mapping[id].parent]);
+  const stack = roots.reverse().map(id => ({ id, parentKey: null }));
+  while (stack.length) {
+    const { id, parentKey } = stack.pop();
+    const node = mapping[id];
+    if (!node || keptAncestor.has(id)) continue;
+    const message = node.message;
+    const role = message?.author?.role;
+    const text = message ? chatGptMessageText(message) : '';
+    let key = parentKey;
+    if ((role === 'user' || role === 'assistant') && text.trim()) {
+      key = id;
+      messages.push({
+        key,
+        parentKey,
+        role,
+        content: text,
+        created_at: toDbTimestamp(message.create_time),
+        model: message.metadata?.model_slug || null,
+        provider: role === 'assistant' ? 'chatgpt' : null
+      });
+    }
+    keptAncestor.set(id, key);
+    const children = Array.isArray(node.children) ? node.children : [];
+    for (let i = children.length - 1; i >= 0; i--) stack.push({ id: children[i], parentKey: key });
+  }
+  return {
+    title: typeof conversation.title === 'string' ? conversation.title : null,
+    created_at: toDbTimestamp(conversation.create_time),
+    updated_at: toDbTimestamp(conversation.update_time),
+    pinned: 0,
+    starred: 0,
+    archived: conversation.is_archived ? 1 : 0,
+    folder: null,
+    tags: [],
+    leafKey: keptAncestor.get(conversation.current_node) ?? null,
+    messages
+  };
+}
+
+// Imports run in a single transaction; each conversation gets new ids
+function importHistory(data) {
+  const conversations = normalizeImport(data);
+  const insertConversation = db.prepare(`
+    INSERT INTO conversations (title, created_at, updated_at, pinned, starred, archived)
+    VALUES (?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, ?, CURRENT_TIMESTAMP), ?, ?, ?)
+  `);
+  const insertMessage = db.prepare(`
+    INSERT INTO messages (conversation_id, role, content, created_at, parent_id, model, provider, prompt_tokens,
+                          completion_tokens, ttft_ms, latency_ms, finish_reason, reasoning_effort, reasoning, tool_calls)
+    VALUES (@conversation_id, @role, @content, COALESCE(@created_at, CURRENT_TIMESTAMP), @parent_id, @model, @provider,
+            @prompt_tokens, @completion_tokens, @ttft_ms, @latency_ms, @finish_reason, @reasoning_effort, @reasoning, @tool_calls)
+  `);
+  const setLeaf = db.prepare('UPDATE conversations SET current_leaf_id = ? WHERE id = ?');
+  const findFolder = db.prepare('SELECT id FROM folders WHERE name = ?').pluck();
+  const insertFolder = db.prepare('INSERT INTO folders (name) VALUES (?)');
+  const fileConversation = db.prepare('INSERT INTO conversation_folders (conversation_id, folder_id) VALUES (?, ?)');
+  const findTag = db.prepare('SELECT id FROM tags WHERE name = ?').pluck();
+  const insertTag = db.prepare('INSERT INTO tags (name) VALUES (?)');
+  const linkTag = db.prepare('INSERT OR IGNORE INTO conversation_tags (conversation_id, tag_id) VALUES (?, ?)');
+
+  let messageCount = 0;
+  let conversationCount = 0;
+  db.transaction(() => {
+    for (const c of conversations) {
+      const title = typeof c.title === 'string' && c.title.trim() ? c.title.trim().substring(0, 200) : 'Imported Chat';
+      const conversationId = insertConversation.run(title, c.created_at, c.updated_at, c.created_at, c.pinned, c.starred, c.archived).lastInsertRowid;
+      conversationCount++;
+
+      const idByKey = new Map();
+      let lastId = null;
+      for (const m of c.messages) {
+        if ((m.role !== 'user' && m.role !== 'assistant') || typeof m.content !== 'string' || !m.content.trim()) continue;
+        // A parent that was skipped or never listed falls back to a root message
+        const parentId = m.parentKey != null ? (idByKey.get(m.parentKey) ?? null) : null;
+        const generation = sanitizeGenerationMeta(m.role === 'assistant' ? {
+          model: m.model,
+          provider: m.provider,
+          promptTokens: m.prompt_tokens,
+          completionTokens: m.completion_tokens,
+          ttftMs: m.ttft_ms,
+          latencyMs: m.latency_ms,
+          finishReason: m.finish_reason,
+          reasoningEffort: m.reasoning_effort,
+          reasoning: m.reasoning,
+          toolCalls: m.tool_calls
+        } : null);
+        lastId = insertMessage.run({
+          conversation_id: conversationId,
+          role: m.role,
+          content: m.content,
+          created_at: toDbTimestamp(m.created_at),
+          parent_id: parentId,
+          ...generation
+        }).lastInsertRowid;
+        idByKey.set(m.key, lastId);
+        messageCount++;
+      }
+      setLeaf.run(idByKey.get(c.leafKey) ?? lastId, conversationId);
+
+      const folderName = sanitizeFolderName(c.folder);
+      if (folderName) {
+        fileConversation.run(conversationId, findFolder.get(folderName) || insertFolder.run(folderName).lastInsertRowid);
+      }
+      for (const name of c.tags.map(sanitizeTagName).filter(Boolean).slice(0, MAX_TAGS_PER_CONVERSATION)) {
+        linkTag.run(conversationId, findTag.get(name) || insertTag.run(name).lastInsertRowid);
+      }
+    }
+  })();
+  return { conversations: conversationCount, messages: messageCount };
+}
+
 // Debug function to check database contents (development only)
 if (process.env.NODE_ENV === 'development') {
   ipcMain.handle('db:debug-contents', async () => {
@@ -523,8 +1604,7 @@ if (process.env.NODE_ENV === 'development') {
 
       return {
         conversations,
-        messages,
-        currentConversationId
+        messages
       };
     } catch (error) {
       console.error('Error getting debug contents:', error);
@@ -545,6 +1625,68 @@ function showAboutDialog() {
   });
 }
 
+const MAX_IMPORT_FILE_BYTES = 512 * 1024 * 1024;
+
+async function exportHistoryFromMenu(kind) {
+  if (!db) {
+    dialog.showErrorBox('Export Failed', 'Chat history is not available.');
+    return;
+  }
+  const stamp = new Date().toISOString().substring(0, 10);
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: kind === 'json' ? 'Export All Chats as JSON' : 'Export All Chats as Markdown',
+    defaultPath: kind === 'json' ? `inception-chats-${stamp}.json` : `inception-chats-${stamp}.zip`,
+    filters: kind === 'json' ? [{ name: 'JSON', extensions: ['json'] }] : [{ name: 'Zip Archive', extensions: ['zip'] }]
+  });
+  if (canceled || !filePath) return;
+  try {
+    if (kind === 'json') {
+      await fs.writeFile(filePath, JSON.stringify(buildHistoryExport(), null, 2), 'utf8');
+    } else {
+      let includeReasoning = false;
+      try {
+        const content = await fs.readFile(path.join(app.getPath('userData'), 'settings.json'), 'utf8');
+        includeReasoning = JSON.parse(content).exportReasoning === true;
+      } catch (e) {
+        // no settings saved yet
+      }
+      await fs.writeFile(filePath, buildMarkdownArchive(includeReasoning));
+    }
+  } catch (error) {
+    console.error('Error exporting chat history:', error);
+    dialog.showErrorBox('Export Failed', error.message);
+  }
+}
+
+async function importHistoryFromMenu() {
+  if (!db) {
+    dialog.showErrorBox('Import Failed', 'Chat history is not available.');
+    return;
+  }
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Chats',
+    properties: ['openFile'],
+    filters: [{ name: 'Inception or ChatGPT export', extensions: ['json'] }]
+  });
+  if (canceled || !filePaths.length) return;
+  try {
+    const stat = await fs.stat(filePaths[0]);
+    if (stat.size > MAX_IMPORT_FILE_BYTES) throw new Error('File is too large to import.');
+    const data = JSON.parse(await fs.readFile(filePaths[0], 'utf8'));
+    const result = importHistory(data);
+    mainWindow.webContents.send('menu:history-imported');
+    dialog.showMessageBox(mainWindow, {
+      type: 'info',
+      title: 'Import Complete',
+      message: `Imported ${result.conversations} conversation(s) with ${result.messages} message(s).`,
+      buttons: ['OK']
+    });
+  } catch (error) {
+    console.error('Error importing chat history:', error);
+    dialog.showErrorBox('Import Failed', error.message);
+  }
+}
+
 const template = [
   // macOS app menu
   ...(process.platform === 'darwin' ? [{
@@ -575,6 +1717,18 @@ const template = [
         }
       },
       { type: 'separator' },
+      {
+        label: 'Import Chats…',
+        click: importHistoryFromMenu
+      },
+      {
+        label: 'Export All Chats',
+        submenu: [
+          { label: 'As JSON…', click: () => exportHistoryFromMenu('json') },
+          { label: 'As Markdown (Zip)…', click: () => exportHistoryFromMenu('markdown') }
+        ]
+      },
+      { type: 'separator' },
       ...(process.platform !== 'darwin' ? [{ role: 'quit' }] : [])
     ]
   },
@@ -643,7 +1797,106 @@ async function ensureInceptionDir() {
   }
 }
 
+// API keys are encrypted with safeStorage when the OS has a real keyring. On
+// Linux without one, safeStorage falls back to a hardcoded password
+// ('basic_text'), so keys are kept in the owner-only config file instead.
+const API_KEY_FIELDS = ['apiKey', 'openRouterApiKey'];
+
+function keyStorageBackend() {
+  if (!safeStorage.isEncryptionAvailable()) return 'file';
+  if (process.platform === 'linux' && ['basic_text', 'unknown'].includes(safeStorage.getSelectedStorageBackend())) {
+    return 'file';
+  }
+  return 'safeStorage';
+}
+
+function fingerprintApiKey(key) {
+  if (!key) return '';
+  return key.length > 12 ? `${key.slice(0, 4)}\u2026${key.slice(-4)}` : '\u2022\u2022\u2022\u2022';
+}
+
+async function writeApiKeys(keys) {
+  await ensureInceptionDir();
+  const keyStorage = keyStorageBackend();
+  const config = { keyStorage };
+  const encode = (value) => keyStorage === 'safeStorage' ? safeStorage.encryptString(value).toString('base64') : value;
+  for (const field of API_KEY_FIELDS) {
+    if (!keys[field]) continue;
+    config[field] = encode(keys[field]);
+  }
+  // Keys for custom providers, by provider id
+  const providerKeys = Object.entries(keys.providerKeys || {}).filter(([, value]) => value);
+  if (providerKeys.length > 0) {
+    config.providerKeys = Object.fromEntries(providerKeys.map(([id, value]) => [id, encode(value)]));
+  }
+  await fs.writeFile(getInceptionConfigPath(), JSON.stringify(config, null, 2), { mode: 0o600 });
+  // mode only applies when the file is created
+  await fs.chmod(getInceptionConfigPath(), 0o600);
+}
+
+// Reads all keys as plaintext, re-saving them encrypted if they were stored
+// before encryption was available (including the legacy plaintext config)
+async function readApiKeys() {
+  const keys = { apiKey: '', openRouterApiKey: '', providerKeys: {} };
+  let config = null;
+  try {
+    config = JSON.parse(await fs.readFile(getInceptionConfigPath(), 'utf8'));
+  } catch (e) {
+    return readLegacySettingsApiKey(keys);
+  }
+
+  const decode = (stored, name) => {
+    if (typeof stored !== 'string' || !stored) return '';
+    if (config.keyStorage !== 'safeStorage') return stored;
+    try {
+      return safeStorage.decryptString(Buffer.from(stored, 'base64'));
+    } catch (error) {
+      console.error(`Failed to decrypt ${name}:`, error);
+      return '';
+    }
+  };
+  for (const field of API_KEY_FIELDS) {
+    keys[field] = decode(config[field], field);
+  }
+  if (config.providerKeys && typeof config.providerKeys === 'object') {
+    for (const [id, stored] of Object.entries(config.providerKeys)) {
+      const value = decode(stored, `key for ${id}`);
+      if (value) keys.providerKeys[id] = value;
+    }
+  }
+
+  if (config.keyStorage !== keyStorageBackend() && config.keyStorage !== 'safeStorage') {
+    try {
+      await writeApiKeys(keys);
+    } catch (error) {
+      console.error('Error encrypting stored API keys:', error);
+    }
+  }
+  return keys;
+}
+
+// Very old builds kept apiKey in userData/settings.json; move it to the key store
+async function readLegacySettingsApiKey(keys) {
+  try {
+    const settingsPath = path.join(app.getPath('userData'), 'settings.json');
+    const parsed = JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+    if (parsed.apiKey && typeof parsed.apiKey === 'string') {
+      keys.apiKey = parsed.apiKey;
+      await writeApiKeys(keys);
+      const { apiKey: _removed, ...rest } = parsed;
+      await fs.writeFile(settingsPath, JSON.stringify(rest, null, 2));
+    }
+  } catch (_) {
+    // no legacy key either
+  }
+  return keys;
+}
+
 // Handle file dialogs
+// Files opened through dialog:openFile, by the id handed to the renderer, so
+// code:write-file can write edits back without the renderer naming a path
+const openedFiles = new Map();
+
 ipcMain.handle('dialog:openFile', async () => {
   const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
     filters: [
@@ -660,17 +1913,40 @@ ipcMain.handle('dialog:openFile', async () => {
       throw new Error('File too large (max 10 MB)');
     }
     const content = await fs.readFile(filePaths[0], 'utf8');
-    return { name: path.basename(filePaths[0]), content };
+    const fileId = crypto.randomUUID();
+    openedFiles.set(fileId, { path: filePaths[0], mtimeMs: stat.mtimeMs });
+    return { name: path.basename(filePaths[0]), content, fileId };
+  }
+});
+
+// Overwrites a file the user opened, unless it changed on disk since then
+ipcMain.handle('code:write-file', async (event, fileId, content) => {
+  const file = typeof fileId === 'string' ? openedFiles.get(fileId) : null;
+  if (!file || typeof content !== 'string') return { ok: false, error: 'Open the file again before writing to it.' };
+  try {
+    const stat = await fs.stat(file.path);
+    if (stat.mtimeMs !== file.mtimeMs) {
+      return { ok: false, error: `${path.basename(file.path)} changed on disk since it was opened. Use Save As… or open it again.` };
+    }
+    await fs.writeFile(file.path, content);
+    file.mtimeMs = (await fs.stat(file.path)).mtimeMs;
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: `Couldn't write ${path.basename(file.path)}: ${err.message}` };
   }
 });
 
-ipcMain.handle('dialog:saveFile', async (event, content) => {
+// defaultName suggests a file name; its extension is offered as the file type
+ipcMain.handle('dialog:saveFile', async (event, content, defaultName) => {
   if (typeof content !== 'string') return false;
+  const name = typeof defaultName === 'string' ? path.basename(defaultName).substring(0, 200) : '';
+  const extension = path.extname(name).slice(1);
 
   const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
-    filters: [
-      { name: 'Text Files', extensions: ['txt'] }
-    ]
+    defaultPath: name || undefined,
+    filters: extension && extension !== 'txt'
+      ? [{ name: `${extension.toUpperCase()} Files`, extensions: [extension] }, { name: 'All Files', extensions: ['*'] }]
+      : [{ name: 'Text Files', extensions: ['txt'] }]
   });
 
   if (!canceled) {
@@ -684,47 +1960,119 @@ ipcMain.handle('app:getVersion', () => {
   return app.getVersion();
 });
 
-const ALLOWED_MODELS = ['mercury', 'mercury-2'];
 const DEFAULT_SYSTEM_PROMPT = `You are a helpful, accurate, and concise AI assistant. Answer questions clearly and directly. Acknowledge uncertainty when you're unsure about something.`;
 const ALLOWED_THEMES = ['dark', 'light', 'auto'];
-const MAX_TOKENS_LIMIT = 50000;
+const MAX_RETRIES_LIMIT = 5;
+const DEFAULT_MAX_RETRIES = 2;
+
+// Models come from each provider's /models listing (see model-catalog.js)
+const modelCatalog = createModelCatalog({
+  getCachePath: () => path.join(app.getPath('userData'), 'models-cache.json'),
+  readSettings,
+  readApiKeys
+});
+
+// Listed by some provider, or mapped on a custom provider that has no listing
+async function isKnownModel(model, customProviders) {
+  if ((await modelCatalog.knownModelIds()).has(model)) return true;
+  return customProviders.some((p) => Object.prototype.hasOwnProperty.call(p.models, model));
+}
+
+// Provider/model pairs that compare mode sends each message to. Pairs whose
+// provider no longer exists are dropped; null if the value isn't a list.
+const MAX_COMPARE_TARGETS = 4;
+function sanitizeCompareTargets(value, customProviders) {
+  if (!Array.isArray(value)) return null;
+  return value.filter((target) =>
+    target && typeof target.model === 'string' && MODEL_ID.test(target.model) &&
+    typeof target.provider === 'string' &&
+    (isBuiltinProvider(target.provider) || customProviders.some((p) => p.id === target.provider))
+  ).slice(0, MAX_COMPARE_TARGETS).map(({ provider, model }) => ({ provider, model }));
+}
 
 // Settings file handlers
 ipcMain.handle('settings:save', async (event, settings) => {
   if (!settings || typeof settings !== 'object') return false;
 
   try {
-    // Save API keys to ~/.inception/config.json
-    if (settings.apiKey !== undefined || settings.openRouterApiKey !== undefined) {
-      await ensureInceptionDir();
-      // Load existing config to merge keys
-      let existingConfig = {};
-      try {
-        const content = await fs.readFile(getInceptionConfigPath(), 'utf8');
-        existingConfig = JSON.parse(content);
-      } catch (e) { /* no existing config */ }
+    // Allowlist and validate each field before writing to disk
+    const safeSettings = {};
+    if (settings.customProviders !== undefined) {
+      const customProviders = sanitizeCustomProviders(settings.customProviders);
+      if (!customProviders) return false;
+      safeSettings.customProviders = customProviders;
+    }
+    if (settings.defaultProvider !== undefined && settings.defaultProvider !== null) {
+      const known = isBuiltinProvider(settings.defaultProvider) ||
+        (safeSettings.customProviders || []).some((p) => p.id === settings.defaultProvider);
+      if (!known) return false;
+      safeSettings.defaultProvider = settings.defaultProvider;
+    }
+    if (settings.failoverProvider !== undefined && settings.failoverProvider !== null) {
+      const known = isBuiltinProvider(settings.failoverProvider) ||
+        (safeSettings.customProviders || []).some((p) => p.id === settings.failoverProvider);
+      if (!known) return false;
+      safeSettings.failoverProvider = settings.failoverProvider;
+    }
+    if (settings.compareTargets !== undefined) {
+      const compareTargets = sanitizeCompareTargets(settings.compareTargets, safeSettings.customProviders || []);
+      if (!compareTargets) return false;
+      safeSettings.compareTargets = compareTargets;
+    }
+    if (settings.mcpServers !== undefined) {
+      const mcpServers = sanitizeMcpServers(settings.mcpServers);
+      if (!mcpServers) return false;
+      safeSettings.mcpServers = mcpServers;
+    }
+    if (settings.samplingDefaults !== undefined) {
+      const samplingDefaults = sanitizeSamplingParams(settings.samplingDefaults);
+      if (!samplingDefaults) return false;
+      safeSettings.samplingDefaults = samplingDefaults;
+    }
+    if (settings.maxRetries !== undefined) {
+      const retries = parseInt(settings.maxRetries, 10);
+      if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES_LIMIT) return false;
+      safeSettings.maxRetries = retries;
+    }
+    if (settings.providerKeys !== undefined &&
+        (!settings.providerKeys || typeof settings.providerKeys !== 'object' ||
+         Object.values(settings.providerKeys).some((key) => typeof key !== 'string'))) {
+      return false;
+    }
 
-      if (settings.apiKey !== undefined) {
-        if (typeof settings.apiKey !== 'string') return false;
-        existingConfig.apiKey = settings.apiKey;
+    // Save API keys to ~/.inception/config.json, merged with the stored ones
+    if (settings.apiKey !== undefined || settings.openRouterApiKey !== undefined ||
+        settings.providerKeys !== undefined || safeSettings.customProviders !== undefined) {
+      const keys = await readApiKeys();
+      for (const field of API_KEY_FIELDS) {
+        if (settings[field] === undefined) continue;
+        if (typeof settings[field] !== 'string') return false;
+        keys[field] = settings[field].trim();
       }
-      if (settings.openRouterApiKey !== undefined) {
-        if (typeof settings.openRouterApiKey !== 'string') return false;
-        existingConfig.openRouterApiKey = settings.openRouterApiKey;
+      for (const [id, key] of Object.entries(settings.providerKeys || {})) {
+        keys.providerKeys[id] = key.trim();
       }
-      await fs.writeFile(getInceptionConfigPath(), JSON.stringify(existingConfig, null, 2), { mode: 0o600 });
+      // Forget the keys of providers that were removed
+      if (safeSettings.customProviders) {
+        const ids = new Set(safeSettings.customProviders.map((p) => p.id));
+        for (const id of Object.keys(keys.providerKeys)) {
+          if (!ids.has(id)) delete keys.providerKeys[id];
+        }
+      }
+      await writeApiKeys(keys);
     }
 
-    // Allowlist and validate each field before writing to disk
-    const safeSettings = {};
     if (settings.model !== undefined) {
-      if (!ALLOWED_MODELS.includes(settings.model)) return false;
+      if (typeof settings.model !== 'string' || !MODEL_ID.test(settings.model)) return false;
+      if (!await isKnownModel(settings.model, safeSettings.customProviders || [])) return false;
       safeSettings.model = settings.model;
     }
     if (settings.maxTokens !== undefined) {
       const t = parseInt(settings.maxTokens, 10);
-      if (!Number.isInteger(t) || t < 1 || t > MAX_TOKENS_LIMIT) return false;
-      safeSettings.maxTokens = t;
+      if (!Number.isInteger(t) || t < 1) return false;
+      // Clamped to what the model can produce on the default provider
+      const { maxOutputTokens } = await modelCatalog.limitsFor(safeSettings.defaultProvider, safeSettings.model || 'mercury-2');
+      safeSettings.maxTokens = Math.min(t, maxOutputTokens);
     }
     if (settings.theme !== undefined) {
       if (!ALLOWED_THEMES.includes(settings.theme)) return false;
@@ -734,9 +2082,30 @@ ipcMain.handle('settings:save', async (event, settings) => {
       if (typeof settings.systemPrompt !== 'string') return false;
       safeSettings.systemPrompt = settings.systemPrompt.substring(0, 2000);
     }
+    if (settings.exportReasoning !== undefined) {
+      if (typeof settings.exportReasoning !== 'boolean') return false;
+      safeSettings.exportReasoning = settings.exportReasoning;
+    }
+    if (settings.toolsEnabled !== undefined) {
+      if (typeof settings.toolsEnabled !== 'boolean') return false;
+      safeSettings.toolsEnabled = settings.toolsEnabled;
+    }
+    if (settings.diffusingDisplay !== undefined) {
+      if (typeof settings.diffusingDisplay !== 'boolean') return false;
+      safeSettings.diffusingDisplay = settings.diffusingDisplay;
+    }
+    if (settings.trashRetentionDays !== undefined) {
+      const days = parseInt(settings.trashRetentionDays, 10);
+      if (!TRASH_RETENTION_OPTIONS.includes(days)) return false;
+      safeSettings.trashRetentionDays = days;
+    }
 
     const settingsPath = path.join(app.getPath('userData'), 'settings.json');
     await fs.writeFile(settingsPath, JSON.stringify(safeSettings, null, 2));
+    // A shorter retention period takes effect right away
+    if (safeSettings.trashRetentionDays !== undefined) purgeExpiredTrash(safeSettings.trashRetentionDays);
+    // Servers that were added, edited or toggled start or stop right away
+    mcpManager.sync(safeSettings.mcpServers || []);
     return true;
   } catch (error) {
     console.error('Error saving settings:', error);
@@ -744,8 +2113,9 @@ ipcMain.handle('settings:save', async (event, settings) => {
   }
 });
 
-ipcMain.handle('settings:load', async () => {
-  const defaults = { model: 'mercury-2', maxTokens: 32768, theme: 'dark', systemPrompt: DEFAULT_SYSTEM_PROMPT };
+// Non-key settings from userData/settings.json, validated and with defaults filled in
+async function readSettings() {
+  const defaults = { model: 'mercury-2', maxTokens: 32768, theme: 'dark', systemPrompt: DEFAULT_SYSTEM_PROMPT, exportReasoning: false, trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS, customProviders: [], defaultProvider: null, maxRetries: DEFAULT_MAX_RETRIES, failoverProvider: null, samplingDefaults: {}, toolsEnabled: true, diffusingDisplay: false, mcpServers: [], compareTargets: [] };
 
   // Load non-key settings from userData/settings.json
   let otherSettings = { ...defaults };
@@ -754,44 +2124,115 @@ ipcMain.handle('settings:load', async () => {
     const content = await fs.readFile(settingsPath, 'utf8');
     const parsed = JSON.parse(content);
     // Only pick known keys to prevent untrusted data from reaching the renderer
-    if (parsed.model && ALLOWED_MODELS.includes(parsed.model)) otherSettings.model = parsed.model;
     if (parsed.maxTokens != null) {
       const t = parseInt(parsed.maxTokens, 10);
-      if (Number.isInteger(t) && t >= 1 && t <= MAX_TOKENS_LIMIT) otherSettings.maxTokens = t;
+      if (Number.isInteger(t) && t >= 1) otherSettings.maxTokens = t;
     }
     if (parsed.theme && ALLOWED_THEMES.includes(parsed.theme)) otherSettings.theme = parsed.theme;
     if (typeof parsed.systemPrompt === 'string') otherSettings.systemPrompt = parsed.systemPrompt.substring(0, 2000) || DEFAULT_SYSTEM_PROMPT;
+    if (typeof parsed.exportReasoning === 'boolean') otherSettings.exportReasoning = parsed.exportReasoning;
+    if (typeof parsed.toolsEnabled === 'boolean') otherSettings.toolsEnabled = parsed.toolsEnabled;
+    if (typeof parsed.diffusingDisplay === 'boolean') otherSettings.diffusingDisplay = parsed.diffusingDisplay;
+    if (parsed.mcpServers !== undefined) otherSettings.mcpServers = sanitizeMcpServers(parsed.mcpServers) || [];
+    if (TRASH_RETENTION_OPTIONS.includes(parsed.trashRetentionDays)) otherSettings.trashRetentionDays = parsed.trashRetentionDays;
+    if (parsed.customProviders !== undefined) otherSettings.customProviders = sanitizeCustomProviders(parsed.customProviders) || [];
+    // null leaves the choice to whichever built-in key is set
+    if (typeof parsed.defaultProvider === 'string' &&
+        (isBuiltinProvider(parsed.defaultProvider) || otherSettings.customProviders.some((p) => p.id === parsed.defaultProvider))) {
+      otherSettings.defaultProvider = parsed.defaultProvider;
+    }
+    if (typeof parsed.failoverProvider === 'string' &&
+        (isBuiltinProvider(parsed.failoverProvider) || otherSettings.customProviders.some((p) => p.id === parsed.failoverProvider))) {
+      otherSettings.failoverProvider = parsed.failoverProvider;
+    }
+    if (parsed.compareTargets !== undefined) otherSettings.compareTargets = sanitizeCompareTargets(parsed.compareTargets, otherSettings.customProviders) || [];
+    otherSettings.samplingDefaults = sanitizeSamplingParams(parsed.samplingDefaults) || {};
+    if (Number.isInteger(parsed.maxRetries) && parsed.maxRetries >= 0 && parsed.maxRetries <= MAX_RETRIES_LIMIT) {
+      otherSettings.maxRetries = parsed.maxRetries;
+    }
+    // 'mercury' was retired in favour of Mercury 2; other models must have been listed by a provider
+    const model = parsed.model === 'mercury' ? 'mercury-2' : parsed.model;
+    if (typeof model === 'string' && await isKnownModel(model, otherSettings.customProviders)) otherSettings.model = model;
   } catch (e) {
     // use defaults
   }
+  return otherSettings;
+}
 
-  // Load API keys from ~/.inception; migrate from legacy settings.json if needed
-  let apiKey = '';
-  let openRouterApiKey = '';
-  try {
-    const content = await fs.readFile(getInceptionConfigPath(), 'utf8');
-    const parsed = JSON.parse(content);
-    apiKey = (typeof parsed.apiKey === 'string') ? parsed.apiKey : '';
-    openRouterApiKey = (typeof parsed.openRouterApiKey === 'string') ? parsed.openRouterApiKey : '';
-  } catch (e) {
-    // Check for legacy apiKey in settings.json and migrate it
-    try {
-      const settingsPath = path.join(app.getPath('userData'), 'settings.json');
-      const content = await fs.readFile(settingsPath, 'utf8');
-      const parsed = JSON.parse(content);
-      if (parsed.apiKey && typeof parsed.apiKey === 'string') {
-        apiKey = parsed.apiKey;
-        // Migrate to ~/.inception/config.json
-        await ensureInceptionDir();
-        await fs.writeFile(getInceptionConfigPath(), JSON.stringify({ apiKey }, null, 2), { mode: 0o600 });
-        // Remove from settings.json
-        const { apiKey: _removed, ...rest } = parsed;
-        await fs.writeFile(settingsPath, JSON.stringify(rest, null, 2));
-      }
-    } catch (_) {
-      // no legacy key either
-    }
+ipcMain.handle('settings:load', async () => {
+  // Only fingerprints reach the renderer; the chat service reads the keys itself
+  const [otherSettings, keys] = await Promise.all([readSettings(), readApiKeys()]);
+  return {
+    ...otherSettings,
+    hasApiKey: !!keys.apiKey,
+    hasOpenRouterApiKey: !!keys.openRouterApiKey,
+    apiKeyFingerprint: fingerprintApiKey(keys.apiKey),
+    openRouterApiKeyFingerprint: fingerprintApiKey(keys.openRouterApiKey),
+    providerKeyFingerprints: Object.fromEntries(
+      otherSettings.customProviders.map((p) => [p.id, fingerprintApiKey(keys.providerKeys[p.id])])
+    ),
+    keyStorage: keyStorageBackend()
+  };
+});
+
+ipcMain.handle('providers:list', async () => {
+  const [settings, keys] = await Promise.all([readSettings(), readApiKeys()]);
+  return listProviders(settings, keys);
+});
+
+// A null providerId lists the default provider's models
+ipcMain.handle('models:list', async (event, providerId, options) => {
+  if (providerId !== null && providerId !== undefined && (typeof providerId !== 'string' || providerId.length > 64)) return null;
+  return modelCatalog.list(providerId, { refresh: options?.refresh === true, all: options?.all === true });
+});
+
+// The model's read_file tool only reads files the user approves: the path it
+// suggests after a confirmation, or one picked in an open dialog
+async function approveFileRead({ path: suggestedPath, reason }) {
+  if (!mainWindow || mainWindow.isDestroyed()) return null;
+  const detail = reason ? `Reason given: ${reason}` : undefined;
+  if (suggestedPath) {
+    const expanded = suggestedPath.startsWith('~') ? path.join(os.homedir(), suggestedPath.slice(1)) : suggestedPath;
+    const absolute = path.resolve(os.homedir(), expanded);
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'question',
+      buttons: ['Allow', 'Choose Another File\u2026', 'Deny'],
+      defaultId: 2,
+      cancelId: 2,
+      title: 'Allow File Access?',
+      message: `The model wants to read ${absolute}`,
+      detail
+    });
+    if (response === 0) return absolute;
+    if (response === 2) return null;
   }
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose a File for the Model to Read',
+    message: reason || undefined,
+    properties: ['openFile']
+  });
+  return canceled || filePaths.length === 0 ? null : filePaths[0];
+}
 
-  return { ...otherSettings, apiKey, openRouterApiKey };
+// Local MCP servers, started from the mcpServers setting
+const mcpManager = createMcpManager({
+  clientInfo: { name: 'inception-desktop', version: app.getVersion() },
+  onChange: () => {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('mcp:changed', mcpManager.status());
+  }
+});
+ipcMain.handle('mcp:status', () => mcpManager.status());
+
+// Chat requests
+const chatService = createChatService({
+  readSettings,
+  readApiKeys,
+  modelCatalog,
+  tools: combineTools(createBuiltinTools({ approveFileRead }), mcpManager)
 });
+ipcMain.handle('chat:start', (event, request) => chatService.start(event.sender, request));
+ipcMain.handle('chat:abort', (event, requestId) => chatService.abort(requestId));
+ipcMain.handle('code:fim', (event, request) => chatService.startFim(event.sender, request));
+ipcMain.handle('code:apply', (event, request) => chatService.startApply(event.sender, request));
+ipcMain.handle('chat:approve-tool', (event, requestId, callId, approved) => chatService.approveTool(requestId, callId, approved));
+ipcMain.handle('chat:generate-title', (event, firstUserMessage, providerId) => chatService.generateTitle(firstUserMessage, providerId));
@@ -0,0 +1,411 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Tim Tully
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+// Model Context Protocol client for local stdio servers. Each enabled server
+// is launched as a child process speaking newline-delimited JSON-RPC; its
+// tools are offered to the model under a per-server prefix, and its resources
+// and prompts through two extra tools per server. Every call needs the user's
+// approval (see needsApproval).
+
+const { spawn } = require('child_process');
+
+const PROTOCOL_VERSION = '2025-06-18';
+const MAX_MCP_SERVERS = 20;
+const MAX_SERVER_ARGS = 50;
+const MAX_SERVER_ENV = 50;
+const MCP_SERVER_ID = /^mcp-[a-z0-9-]{1,40}$/;
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const REQUEST_TIMEOUT_MS = 30000;
+const CALL_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_LINE_CHARS = 10 * 1024 * 1024;
+const MAX_STDERR_CHARS = 2000;
+const MAX_LIST_PAGES = 10;
+const MAX_LISTED_IN_DESCRIPTION = 50;
+// OpenAI-style function names
+const MAX_TOOL_NAME_LENGTH = 64;
+
+// Validates the mcpServers setting; returns null if any entry is malformed
+function sanitizeMcpServers(list) {
+  if (!Array.isArray(list) || list.length > MAX_MCP_SERVERS) return null;
+  const seen = new Set();
+  const servers = [];
+  for (const s of list) {
+    if (!s || typeof s !== 'object') return null;
+    if (typeof s.id !== 'string' || !MCP_SERVER_ID.test(s.id) || seen.has(s.id)) return null;
+    if (typeof s.name !== 'string' || !s.name.trim()) return null;
+    if (typeof s.command !== 'string' || !s.command.trim() || s.command.length > 1000) return null;
+    const args = s.args === undefined ? [] : s.args;
+    if (!Array.isArray(args) || args.length > MAX_SERVER_ARGS || args.some((a) => typeof a !== 'string' || a.length > 2000)) return null;
+    const env = s.env === undefined || s.env === null ? {} : s.env;
+    if (typeof env !== 'object' || Array.isArray(env)) return null;
+    const envEntries = Object.entries(env);
+    if (envEntries.length > MAX_SERVER_ENV) return null;
+    if (envEntries.some(([k, v]) => !ENV_NAME.test(k) || k.length > 100 || typeof v !== 'string' || v.length > 4000)) return null;
+    if (s.enabled !== undefined && typeof s.enabled !== 'boolean') return null;
+    seen.add(s.id);
+    servers.push({ id: s.id, name: s.name.trim().substring(0, 60), command: s.command.trim(), args, env: { ...env }, enabled: s.enabled !== false });
+  }
+  return servers;
+}
+
+// Flattens a tools/call result or a resource's contents into text for the model
+function contentToText(content) {
+  if (!Array.isArray(content)) return '';
+  return content.map((part) => {
+    if (!part || typeof part !== 'object') return '';
+    if (typeof part.text === 'string') return part.text;
+    if (part.type === 'resource' && part.resource) return contentToText([part.resource]);
+    if (part.type === 'resource_link') return `[resource ${part.uri || ''}]`;
+    if (typeof part.blob === 'string' || part.type === 'image' || part.type === 'audio') {
+      return `[${part.type || 'binary'} content${part.mimeType ? ` (${part.mimeType})` : ''} omitted]`;
+    }
+    return '';
+  }).filter(Boolean).join('\n\n');
+}
+
+// One running server. onChange is called whenever its state or listings change.
+function connectServer(config, { clientInfo, onChange }) {
+  const state = { status: 'starting', error: null, tools: [], resources: [], prompts: [], capabilities: {} };
+  const pending = new Map();
+  let nextId = 1;
+  let stderr = '';
+  let stopped = false;
+
+  const child = spawn(config.command, config.args, {
+    env: { ...process.env, ...config.env },
+    stdio: ['pipe', 'pipe', 'pipe'],
+    windowsHide: true,
+    // npx and friends are .cmd shims on Windows
+    shell: process.platform === 'win32'
+  });
+
+  function fail(message) {
+    if (state.status === 'error' || stopped) return;
+    state.status = 'error';
+    state.error = message;
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(new Error(message));
+    }
+    pending.clear();
+    if (child.exitCode === null) child.kill();
+    onChange();
+  }
+
+  function write(message) {
+    if (!child.stdin.writable) return;
+    child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+  }
+
+  function request(method, params, { timeoutMs = REQUEST_TIMEOUT_MS, signal } = {}) {
+    if (state.status === 'error') return Promise.reject(new Error(state.error));
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        clearTimeout(timer);
+        pending.delete(id);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        finish();
+        write({ method: 'notifications/cancelled', params: { requestId: id, reason: 'The user stopped the reply.' } });
+        reject(new Error('Cancelled'));
+      };
+      const timer = setTimeout(() => {
+        finish();
+        write({ method: 'notifications/cancelled', params: { requestId: id, reason: 'Timed out' } });
+        reject(new Error(`${config.name} did not answer ${method} in time`));
+      }, timeoutMs);
+      pending.set(id, {
+        resolve: (value) => { finish(); resolve(value); },
+        reject: (err) => { finish(); reject(err); },
+        timer
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      write({ id, method, params });
+    });
+  }
+
+  // Servers may ask us things too; only ping is supported
+  function handleServerRequest(message) {
+    if (message.method === 'ping') return write({ id: message.id, result: {} });
+    write({ id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } });
+  }
+
+  function handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+    if (message.method && message.id !== undefined) return handleServerRequest(message);
+    if (message.method) {
+      if (/^notifications\/(tools|resources|prompts)\/list_changed$/.test(message.method)) {
+        refresh().catch((err) => fail(err.message));
+      }
+      return;
+    }
+    const entry = pending.get(message.id);
+    if (!entry) return;
+    if (message.error) entry.reject(new Error(message.error.message || `${config.name} returned an error`));
+    else entry.resolve(message.result);
+  }
+
+  let buffer = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    if (buffer.length > MAX_LINE_CHARS) return fail(`${config.name} sent a message that is too large`);
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        handleMessage(JSON.parse(line));
+      } catch {
+        // Servers sometimes log to stdout; ignore anything that isn't JSON-RPC
+      }
+    }
+  });
+  // Writes after the server has gone away surface through 'exit' instead
+  child.stdin.on('error', () => {});
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-MAX_STDERR_CHARS);
+  });
+  child.on('error', (err) => fail(err.code === 'ENOENT' ? `Command not found: ${config.command}` : err.message));
+  child.on('exit', (code, signal) => {
+    const detail = stderr.trim().split('\n').pop();
+    fail(`${config.name} exited (${signal || `code ${code}`})${detail ? `: ${detail}` : ''}`);
+  });
+
+  // Follows nextCursor through every page of a list method
+  async function listAll(method, key) {
+    const items = [];
+    let cursor;
+    for (let page = 0; page < MAX_LIST_PAGES; page++) {
+      const result = await request(method, cursor ? { cursor } : {});
+      if (Array.isArray(result?.[key])) items.push(...result[key]);
+      cursor = result?.nextCursor;
+      if (!cursor) break;
+    }
+    return items;
+  }
+
+  async function refresh() {
+    const { tools, resources, prompts } = state.capabilities;
+    const [toolList, resourceList, promptList] = await Promise.all([
+      tools ? listAll('tools/list', 'tools') : [],
+      resources ? listAll('resources/list', 'resources') : [],
+      prompts ? listAll('prompts/list', 'prompts') : []
+    ]);
+    state.tools = toolList.filter((t) => t && typeof t.name === 'string');
+    state.resources = resourceList.filter((r) => r && typeof r.uri === 'string');
+    state.prompts = promptList.filter((p) => p && typeof p.name === 'string');
+    onChange();
+  }
+
+  (async () => {
+    const result = await request('initialize', { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo });
+    state.capabilities = result?.capabilities || {};
+    write({ method: 'notifications/initialized' });
+    await refresh();
+    state.status = 'ready';
+    onChange();
+  })().catch((err) => fail(err.message));
+
+  function stop() {
+    stopped = true;
+    state.status = 'stopped';
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(new Error(`${config.name} was stopped`));
+    }
+    pending.clear();
+    if (child.exitCode === null) {
+      child.stdin.end();
+      child.kill();
+    }
+  }
+
+  return { config, state, request, stop };
+}
+
+// Manages the configured servers and presents them to the chat service as a
+// tool source: { definitions(), has(name), needsApproval(name), run(name, argsJson, { signal }) }.
+// onChange is called when any server's status changes.
+function createMcpManager({ clientInfo, onChange = () => {} }) {
+  // serverId -> connection
+  const connections = new Map();
+  // tool name offered to the model -> { connection, kind, target }
+  let toolIndex = new Map();
+  let toolDefinitions = [];
+
+  // Short, unique, function-name-safe prefix for each server
+  function serverPrefix(name, used) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 20) || 'mcp';
+    let prefix = base;
+    for (let n = 2; used.has(prefix); n++) prefix = `${base}${n}`;
+    used.add(prefix);
+    return prefix;
+  }
+
+  function toolName(prefix, name) {
+    return `${prefix}__${name.replace(/[^A-Za-z0-9_-]/g, '_')}`.substring(0, MAX_TOOL_NAME_LENGTH);
+  }
+
+  function rebuildIndex() {
+    const index = new Map();
+    const definitions = [];
+    const usedPrefixes = new Set();
+    const add = (name, entry, description, parameters) => {
+      if (index.has(name)) return;
+      index.set(name, entry);
+      definitions.push({ type: 'function', function: { name, description: description.substring(0, 1000), parameters } });
+    };
+
+    for (const connection of connections.values()) {
+      if (connection.state.status !== 'ready') continue;
+      const { name: serverName } = connection.config;
+      const prefix = serverPrefix(serverName, usedPrefixes);
+      for (const tool of connection.state.tools) {
+        const schema = tool.inputSchema && typeof tool.inputSchema === 'object' ? tool.inputSchema : { type: 'object', properties: {} };
+        add(toolName(prefix, tool.name), { connection, kind: 'tool', target: tool.name },
+          `[${serverName}] ${tool.description || tool.title || tool.name}`, schema);
+      }
+      if (connection.state.resources.length > 0) {
+        const listed = connection.state.resources.slice(0, MAX_LISTED_IN_DESCRIPTION)
+          .map((r) => `${r.uri}${r.name ? ` (${r.name})` : ''}`).join('; ');
+        add(toolName(prefix, 'read_resource'), { connection, kind: 'resource' },
+          `[${serverName}] Read one of this server's resources by URI. Available: ${listed}`,
+          { type: 'object', properties: { uri: { type: 'string', description: 'Resource URI' } }, required: ['uri'] });
+      }
+      if (connection.state.prompts.length > 0) {
+        const listed = connection.state.prompts.slice(0, MAX_LISTED_IN_DESCRIPTION).map((p) => {
+          const args = (p.arguments || []).map((a) => `${a.name}${a.required ? '' : '?'}`).join(', ');
+          return `${p.name}(${args})${p.description ? `: ${p.description}` : ''}`;
+        }).join('; ');
+        add(toolName(prefix, 'get_prompt'), { connection, kind: 'prompt' },
+          `[${serverName}] Get one of this server's prompt templates. Available: ${listed}`,
+          {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Prompt name' },
+              arguments: { type: 'object', description: 'Prompt arguments as strings', additionalProperties: { type: 'string' } }
+            },
+            required: ['name']
+          });
+      }
+    }
+    toolIndex = index;
+    toolDefinitions = definitions;
+  }
+
+  function changed() {
+    rebuildIndex();
+    onChange();
+  }
+
+  // Starts enabled servers, and stops ones that were disabled, removed or edited
+  function sync(servers) {
+    const wanted = new Map(servers.filter((s) => s.enabled).map((s) => [s.id, s]));
+    for (const [id, connection] of connections) {
+      const config = wanted.get(id);
+      if (!config || JSON.stringify(config) !== JSON.stringify(connection.config) || connection.state.status === 'error') {
+        connection.stop();
+        connections.delete(id);
+      }
+    }
+    for (const [id, config] of wanted) {
+      if (!connections.has(id)) connections.set(id, connectServer(config, { clientInfo, onChange: changed }));
+    }
+    changed();
+  }
+
+  function stopAll() {
+    for (const connection of connections.values()) connection.stop();
+    connections.clear();
+    rebuildIndex();
+  }
+
+  // Per-server state for the settings screen
+  function status() {
+    return [...connections.values()].map(({ config, state }) => ({
+      id: config.id,
+      status: state.status,
+      error: state.error,
+      tools: state.tools.length,
+      resources: state.resources.length,
+      prompts: state.prompts.length
+    }));
+  }
+
+  function definitions() {
+    return toolDefinitions;
+  }
+
+  function has(name) {
+    return toolIndex.has(name);
+  }
+
+  // Everything from an MCP server is approved call by call
+  function needsApproval(name) {
+    return toolIndex.has(name);
+  }
+
+  async function run(name, argsJson, { signal } = {}) {
+    const entry = toolIndex.get(name);
+    if (!entry) return { error: `Unknown tool "${name}"` };
+    let args;
+    try {
+      args = argsJson ? JSON.parse(argsJson) : {};
+    } catch {
+      return { error: 'Arguments are not valid JSON.' };
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) return { error: 'Arguments must be a JSON object.' };
+
+    const { connection, kind, target } = entry;
+    try {
+      if (kind === 'tool') {
+        const result = await connection.request('tools/call', { name: target, arguments: args }, { timeoutMs: CALL_TIMEOUT_MS, signal });
+        const text = contentToText(result?.content) || (result?.structuredContent ? JSON.stringify(result.structuredContent) : '');
+        return result?.isError ? { error: text || 'The tool reported an error.' } : { result: text };
+      }
+      if (kind === 'resource') {
+        if (typeof args.uri !== 'string' || !args.uri) return { error: 'uri is required.' };
+        const result = await connection.request('resources/read', { uri: args.uri }, { signal });
+        return { result: contentToText(result?.contents) };
+      }
+      if (typeof args.name !== 'string' || !args.name) return { error: 'name is required.' };
+      const promptArgs = {};
+      for (const [key, value] of Object.entries(args.arguments || {})) promptArgs[key] = String(value);
+      const result = await connection.request('prompts/get', { name: args.name, arguments: promptArgs }, { signal });
+      const messages = (result?.messages || []).map((m) => `${m.role}: ${contentToText([m.content])}`);
+      return { result: [result?.description, ...messages].filter(Boolean).join('\n\n') };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  return { sync, stopAll, status, definitions, has, needsApproval, run };
+}
+
+module.exports = { createMcpManager, sanitizeMcpServers };
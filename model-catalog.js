@@ -0,0 +1,218 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Tim Tully
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+// Models are discovered from each provider's OpenAI-style /models listing
+// and cached on disk, so new models show up without an app release and the
+// pickers still work offline.
+
+const fs = require('fs').promises;
+const { resolveProvider, modelsUrl, isBuiltinProvider } = require('./chat-service');
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_MODELS = 1000;
+const MODEL_ID = /^[\w.:/@+-]{1,200}$/;
+
+const DEFAULT_CONTEXT_WINDOW = 128000;
+const DEFAULT_MAX_OUTPUT_TOKENS = 50000;
+
+// Offered by the built-in providers until their listing has been fetched
+const FALLBACK_MODELS = [
+  { id: 'mercury-2', name: 'Mercury 2', contextWindow: DEFAULT_CONTEXT_WINDOW, maxOutputTokens: DEFAULT_MAX_OUTPUT_TOKENS }
+];
+
+function positiveInteger(...values) {
+  return values.find((v) => Number.isInteger(v) && v > 0) ?? null;
+}
+
+// Providers name their limits differently; OpenRouter nests the output limit
+// under top_provider. prefix is stripped from the app's own models; other
+// models keep their full id and are marked namespaced (compare targets only).
+function normalizeModel(entry, prefix) {
+  if (!entry || typeof entry.id !== 'string') return null;
+  const namespaced = prefix ? !entry.id.startsWith(prefix) : entry.namespaced === true;
+  const id = namespaced ? entry.id : entry.id.slice(prefix.length);
+  if (!MODEL_ID.test(id)) return null;
+  return {
+    id,
+    ...(namespaced ? { namespaced: true } : {}),
+    name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim().substring(0, 100) : id,
+    contextWindow: positiveInteger(entry.context_length, entry.context_window, entry.max_context_length, entry.top_provider?.context_length),
+    maxOutputTokens: positiveInteger(entry.max_output_tokens, entry.max_completion_tokens, entry.top_provider?.max_completion_tokens)
+  };
+}
+
+function normalizeListing(body, prefix) {
+  const entries = Array.isArray(body?.data) ? body.data : (Array.isArray(body?.models) ? body.models : null);
+  if (!entries) return null;
+  const seen = new Set();
+  const models = [];
+  for (const entry of entries) {
+    const model = normalizeModel(entry, prefix);
+    if (!model || seen.has(model.id)) continue;
+    seen.add(model.id);
+    models.push(model);
+    if (models.length >= MAX_MODELS) break;
+  }
+  return models;
+}
+
+// getCachePath() locates the JSON cache; readSettings/readApiKeys are the
+// same accessors the chat service uses.
+function createModelCatalog({ getCachePath, readSettings, readApiKeys }) {
+  // providerId -> { fetchedAt, models }
+  let cache = {};
+  let loaded = null;
+  const inFlight = new Map();
+
+  function ensureLoaded() {
+    if (!loaded) {
+      loaded = fs.readFile(getCachePath(), 'utf8').then((content) => {
+        const parsed = JSON.parse(content);
+        for (const [providerId, entry] of Object.entries(parsed || {})) {
+          if (!Number.isFinite(entry?.fetchedAt) || !Array.isArray(entry.models)) continue;
+          const models = normalizeListing({ data: entry.models.map((m) => ({
+            id: m.id, name: m.name, context_length: m.contextWindow, max_output_tokens: m.maxOutputTokens, namespaced: m.namespaced
+          })) }, '');
+          cache[providerId] = { fetchedAt: entry.fetchedAt, models };
+        }
+      }).catch(() => {
+        // no cache yet
+      });
+    }
+    return loaded;
+  }
+
+  async function persist() {
+    try {
+      await fs.writeFile(getCachePath(), JSON.stringify(cache, null, 2));
+    } catch (error) {
+      console.error('Error saving model cache:', error);
+    }
+  }
+
+  async function fetchListing(resolved) {
+    const { provider, apiKey } = resolved;
+    const res = await fetch(modelsUrl(provider.baseUrl), {
+      headers: { ...provider.headers, ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}) },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`${provider.label} returned ${res.status} for its model list`);
+    const models = normalizeListing(await res.json(), provider.modelPrefix);
+    if (!models) throw new Error(`${provider.label} returned an unrecognized model list`);
+    return withMappedModels(models, provider);
+  }
+
+  // Mapped app models are offered under their app id, with the target's limits
+  function withMappedModels(models, provider) {
+    const result = [...models];
+    for (const [appModel, target] of Object.entries(provider?.models || {})) {
+      if (result.some((m) => m.id === appModel)) continue;
+      const mapped = models.find((m) => m.id === target);
+      result.push({ ...(mapped || { contextWindow: null, maxOutputTokens: null }), id: appModel, name: `${appModel} \u2192 ${target}` });
+    }
+    return result;
+  }
+
+  // Custom providers without a listing still offer their mapped models
+  function fallbackModels(providerId, provider) {
+    return isBuiltinProvider(providerId) ? FALLBACK_MODELS : withMappedModels([], provider);
+  }
+
+  // Returns { providerId, models, fetchedAt, error }. The cached listing is
+  // used while fresh; a failed refresh falls back to it with the error set.
+  // Namespaced models are only included when all is set.
+  async function list(providerId, { refresh = false, all = false } = {}) {
+    const listing = await listAll(providerId, refresh);
+    return all ? listing : { ...listing, models: listing.models.filter((m) => !m.namespaced) };
+  }
+
+  async function listAll(providerId, refresh) {
+    await ensureLoaded();
+    const [settings, keys] = await Promise.all([readSettings(), readApiKeys()]);
+    const resolved = resolveProvider(providerId, settings, keys);
+    const id = resolved.providerId || providerId;
+    const cached = cache[id];
+    if (resolved.error) {
+      return { providerId: id, models: cached?.models || fallbackModels(id, resolved.provider), fetchedAt: cached?.fetchedAt || null, error: resolved.error.message };
+    }
+    if (cached && !refresh && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+      return { providerId: id, models: cached.models, fetchedAt: cached.fetchedAt, error: null };
+    }
+
+    if (!inFlight.has(id)) {
+      const request = fetchListing(resolved).then(async (models) => {
+        cache[id] = { fetchedAt: Date.now(), models };
+        await persist();
+        return { providerId: id, models, fetchedAt: cache[id].fetchedAt, error: null };
+      }, (err) => {
+        const stale = cache[id];
+        return { providerId: id, models: stale?.models || fallbackModels(id, resolved.provider), fetchedAt: stale?.fetchedAt || null, error: err.message };
+      }).finally(() => inFlight.delete(id));
+      inFlight.set(id, request);
+    }
+    return inFlight.get(id);
+  }
+
+  // The last fetched listing, or null if the provider was never listed
+  async function cachedModels(providerId) {
+    await ensureLoaded();
+    return cache[providerId]?.models || null;
+  }
+
+  // Every model id any provider has offered, for validating saved settings
+  async function knownModelIds() {
+    await ensureLoaded();
+    const ids = new Set(FALLBACK_MODELS.map((m) => m.id));
+    for (const entry of Object.values(cache)) {
+      for (const model of entry.models) {
+        if (!model.namespaced) ids.add(model.id);
+      }
+    }
+    return ids;
+  }
+
+  // Limits for a model, preferring the given provider's listing; providers
+  // that don't report them get the Mercury defaults
+  async function limitsFor(providerId, modelId) {
+    await ensureLoaded();
+    const listings = [cache[providerId]?.models || [], ...Object.values(cache).map((e) => e.models), FALLBACK_MODELS];
+    let contextWindow = null;
+    let maxOutputTokens = null;
+    for (const models of listings) {
+      const model = models.find((m) => m.id === modelId);
+      if (!model) continue;
+      contextWindow = contextWindow ?? model.contextWindow;
+      maxOutputTokens = maxOutputTokens ?? model.maxOutputTokens;
+    }
+    return {
+      contextWindow: contextWindow || DEFAULT_CONTEXT_WINDOW,
+      maxOutputTokens: maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS
+    };
+  }
+
+  return { list, cachedModels, knownModelIds, limitsFor };
+}
+
+module.exports = { createModelCatalog, MODEL_ID, DEFAULT_MAX_OUTPUT_TOKENS };
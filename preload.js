@@ -28,7 +28,7 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
   openFile: () => ipcRenderer.invoke('dialog:openFile'),
-  saveFile: (content) => ipcRenderer.invoke('dialog:saveFile', content),
+  saveFile: (content, defaultName) => ipcRenderer.invoke('dialog:saveFile', content, defaultName),
   
   // System info
   getVersion: () => ipcRenderer.invoke('app:getVersion'),
@@ -36,7 +36,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Custom events
   onMenuAction: (callback) => ipcRenderer.on('menu:action', (_event, ...args) => callback(...args)),
   onMenuCommand: (eventName, callback) => {
-    const allowedChannels = ['menu:action', 'menu:new-chat'];
+    const allowedChannels = ['menu:action', 'menu:new-chat', 'menu:history-imported'];
     if (allowedChannels.includes(eventName)) {
       ipcRenderer.on(eventName, (_event, ...args) => callback(...args));
     }
@@ -44,7 +44,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // Remove listeners (restricted to known channels)
   removeAllListeners: (channel) => {
-    const allowedChannels = ['menu:action', 'menu:new-chat'];
+    const allowedChannels = ['menu:action', 'menu:new-chat', 'menu:history-imported'];
     if (allowedChannels.includes(channel)) {
       ipcRenderer.removeAllListeners(channel);
     }
@@ -59,15 +59,55 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onUpdateError: (callback) => ipcRenderer.on('update:error', (_event, err) => callback(err)),
   
   // Database functions
+  getEncryptionStatus: () => ipcRenderer.invoke('db:encryption-status'),
+  unlockDatabase: (passphrase) => ipcRenderer.invoke('db:unlock', passphrase),
+  enableEncryption: (options) => ipcRenderer.invoke('db:enable-encryption', options),
+  disableEncryption: () => ipcRenderer.invoke('db:disable-encryption'),
   createConversation: (title) => ipcRenderer.invoke('db:create-conversation', title),
-  saveMessage: (role, content) => ipcRenderer.invoke('db:save-message', role, content),
-  getRecentChats: () => ipcRenderer.invoke('db:get-recent-chats'),
+  saveMessage: (conversationId, role, content, parentId, meta) => ipcRenderer.invoke('db:save-message', conversationId, role, content, parentId, meta),
+  getRecentChats: (options) => ipcRenderer.invoke('db:get-recent-chats', options),
+  getConversation: (conversationId) => ipcRenderer.invoke('db:get-conversation', conversationId),
+  setConversationProvider: (conversationId, providerId) => ipcRenderer.invoke('db:set-conversation-provider', conversationId, providerId),
+  setConversationSampling: (conversationId, params) => ipcRenderer.invoke('db:set-conversation-sampling', conversationId, params),
   getConversationMessages: (conversationId) => ipcRenderer.invoke('db:get-conversation-messages', conversationId),
-  newChat: () => ipcRenderer.invoke('db:new-chat'),
-  updateConversationTitle: (title) => ipcRenderer.invoke('db:update-conversation-title', title),
+  search: (query) => ipcRenderer.invoke('db:search', query),
+  setActiveBranch: (conversationId, messageId) => ipcRenderer.invoke('db:set-active-branch', conversationId, messageId),
+  updateConversationTitle: (conversationId, title) => ipcRenderer.invoke('db:update-conversation-title', conversationId, title),
+  pinConversation: (id, pinned) => ipcRenderer.invoke('db:pin-conversation', id, pinned),
+  starConversation: (id, starred) => ipcRenderer.invoke('db:star-conversation', id, starred),
+  archiveConversation: (id, archived) => ipcRenderer.invoke('db:archive-conversation', id, archived),
   deleteConversation: (id) => ipcRenderer.invoke('db:delete-conversation', id),
+  restoreConversation: (id) => ipcRenderer.invoke('db:restore-conversation', id),
+  purgeConversation: (id) => ipcRenderer.invoke('db:purge-conversation', id),
+  emptyTrash: () => ipcRenderer.invoke('db:empty-trash'),
+  getFolders: () => ipcRenderer.invoke('db:get-folders'),
+  createFolder: (name) => ipcRenderer.invoke('db:create-folder', name),
+  renameFolder: (id, name) => ipcRenderer.invoke('db:rename-folder', id, name),
+  deleteFolder: (id) => ipcRenderer.invoke('db:delete-folder', id),
+  moveConversationToFolder: (conversationId, folderId) => ipcRenderer.invoke('db:move-conversation-to-folder', conversationId, folderId),
+  getTags: () => ipcRenderer.invoke('db:get-tags'),
+  setConversationTags: (conversationId, names) => ipcRenderer.invoke('db:set-conversation-tags', conversationId, names),
 
   // Settings functions
   saveSettings: (settings) => ipcRenderer.invoke('settings:save', settings),
-  loadSettings: () => ipcRenderer.invoke('settings:load')
+  loadSettings: () => ipcRenderer.invoke('settings:load'),
+  listProviders: () => ipcRenderer.invoke('providers:list'),
+  listModels: (providerId, options) => ipcRenderer.invoke('models:list', providerId, options),
+
+  // Chat service (requests run in the main process)
+  startChat: (request) => ipcRenderer.invoke('chat:start', request),
+  abortChat: (requestId) => ipcRenderer.invoke('chat:abort', requestId),
+  startFim: (request) => ipcRenderer.invoke('code:fim', request),
+  startApply: (request) => ipcRenderer.invoke('code:apply', request),
+  writeOpenedFile: (fileId, content) => ipcRenderer.invoke('code:write-file', fileId, content),
+  approveToolCall: (requestId, callId, approved) => ipcRenderer.invoke('chat:approve-tool', requestId, callId, approved),
+  generateTitle: (firstUserMessage, providerId) => ipcRenderer.invoke('chat:generate-title', firstUserMessage, providerId),
+  onChatDelta: (callback) => ipcRenderer.on('chat:delta', (_event, data) => callback(data)),
+  onChatStatus: (callback) => ipcRenderer.on('chat:status', (_event, data) => callback(data)),
+  onChatTool: (callback) => ipcRenderer.on('chat:tool', (_event, data) => callback(data)),
+  onChatDone: (callback) => ipcRenderer.on('chat:done', (_event, data) => callback(data)),
+
+  // MCP servers
+  getMcpStatus: () => ipcRenderer.invoke('mcp:status'),
+  onMcpChanged: (callback) => ipcRenderer.on('mcp:changed', (_event, status) => callback(status))
 });
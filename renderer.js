@@ -203,9 +203,97 @@ document.addEventListener('DOMContentLoaded', () => {
     if (typeof Prism !== 'undefined') Prism.highlightAllUnder(bubble);
   }
 
+  // Collapsible reasoning trace; an empty block stays hidden until tokens stream in
+  function createReasoningBlock(text = '') {
+    const details = document.createElement('details');
+    details.className = 'reasoning-block';
+    const summary = document.createElement('summary');
+    summary.textContent = text ? 'Reasoning' : 'Thinking\u2026';
+    const content = document.createElement('div');
+    content.className = 'reasoning-content';
+    content.textContent = text;
+    details.appendChild(summary);
+    details.appendChild(content);
+    if (!text) details.style.display = 'none';
+    return details;
+  }
+
+  // Pretty-prints JSON tool arguments and results, leaving other text alone
+  function formatToolPayload(text) {
+    try {
+      return JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+      return text;
+    }
+  }
+
+  const TOOL_CALL_SUMMARIES = {
+    approval: (name) => `Allow ${name}?`,
+    running: (name) => `Running ${name}\u2026`,
+    error: (name) => `Failed ${name}`,
+    done: (name) => `Used ${name}`
+  };
+
+  // Fills one collapsible tool call: name and state in the summary,
+  // arguments and result (or error) inside. Calls awaiting approval open
+  // with Allow and Deny buttons.
+  function renderToolCall(details, { requestId, id, name, arguments: args, result, error, status }) {
+    details.className = `tool-call ${status}`;
+    const summary = document.createElement('summary');
+    summary.textContent = TOOL_CALL_SUMMARIES[status](name);
+    const body = document.createElement('div');
+    body.className = 'tool-call-body';
+    const sections = [['Arguments', args ? formatToolPayload(args) : '{}']];
+    if (error) sections.push(['Error', error]);
+    else if (result) sections.push(['Result', formatToolPayload(result)]);
+    for (const [title, text] of sections) {
+      const heading = document.createElement('div');
+      heading.className = 'tool-call-heading';
+      heading.textContent = title;
+      const pre = document.createElement('pre');
+      pre.textContent = text;
+      body.appendChild(heading);
+      body.appendChild(pre);
+    }
+    if (status === 'approval') {
+      const actions = document.createElement('div');
+      actions.className = 'tool-call-approval';
+      for (const [label, approved] of [['Allow', true], ['Deny', false]]) {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.className = approved ? 'allow' : 'deny';
+        btn.addEventListener('click', () => {
+          actions.querySelectorAll('button').forEach(b => { b.disabled = true; });
+          window.electronAPI.approveToolCall(requestId, id, approved);
+        });
+        actions.appendChild(btn);
+      }
+      body.appendChild(actions);
+      details.open = true;
+    }
+    details.replaceChildren(summary, body);
+  }
+
+  // Tool calls made while writing a reply; calls are the saved array or its JSON
+  function createToolCallsBlock(calls = []) {
+    const container = document.createElement('div');
+    container.className = 'tool-calls';
+    let list = calls;
+    if (typeof list === 'string') {
+      try { list = JSON.parse(list); } catch { list = []; }
+    }
+    for (const call of Array.isArray(list) ? list : []) {
+      const details = document.createElement('details');
+      renderToolCall(details, { ...call, status: call.error ? 'error' : 'done' });
+      container.appendChild(details);
+    }
+    if (!container.children.length) container.style.display = 'none';
+    return container;
+  }
+
   const VALID_ROLES = ['user', 'assistant'];
 
-  function createMessageElement(role, htmlContent, rawContent, time = null) {
+  function createMessageElement(role, htmlContent, rawContent, time = null, reasoning = null, toolCalls = null) {
     const safeRole = VALID_ROLES.includes(role) ? role : 'assistant';
     const row = document.createElement('div');
     row.className = `message-row ${safeRole}`;
@@ -218,6 +306,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const bubble = document.createElement('div');
     bubble.className = 'message-bubble';
     bubble.innerHTML = sanitize(htmlContent);
+    if (toolCalls) bubble.insertBefore(createToolCallsBlock(toolCalls), bubble.firstChild);
+    if (reasoning) bubble.insertBefore(createReasoningBlock(reasoning), bubble.firstChild);
 
     const actions = document.createElement('div');
     actions.className = 'message-actions';
@@ -258,14 +348,21 @@ document.addEventListener('DOMContentLoaded', () => {
     return row;
   }
 
-  const INCEPTION_API_URL = 'https://api.inceptionlabs.ai/v1/chat/completions';
-  const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-
   let conversationHistory = [];
+  let currentConversationId = null;
+  // Last saved message on the displayed branch; the next message is saved as its child
+  let currentLeafId = null;
+  // Alternatives of the message being edited/regenerated, so the replacement can show "< n/n >"
+  let pendingSiblingIds = [];
   let isGenerating = false;
-  let currentAbortController = null;
+  // Requests streaming into the chat; compare mode runs several at once
+  let currentRequestIds = [];
   let allRecentChats = [];
 
+  function abortCurrentRequests() {
+    for (const requestId of currentRequestIds) window.electronAPI.abortChat(requestId);
+  }
+
   function setGenerating(val) {
     isGenerating = val;
     if (stopBtn) stopBtn.style.display = val ? 'flex' : 'none';
@@ -274,19 +371,8 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!val) chatInput.focus();
   }
 
-  const MODEL_CONTEXT_WINDOW = 128000;
-  function compactHistory(history, maxTokens) {
-    if (history.length === 0) return history;
-    const estimateTokens = (msgs) => msgs.reduce((sum, m) => sum + Math.ceil(m.content.length / 4), 0);
-    const budget = MODEL_CONTEXT_WINDOW - maxTokens;
-    let compacted = [...history];
-    while (compacted.length > 1 && estimateTokens(compacted) > budget) {
-      const dropFrom = compacted.length > 2 ? 1 : 0;
-      compacted.splice(dropFrom, 2);
-    }
-    return compacted;
-  }
-
+  // Used when the provider's model listing doesn't report a context window
+  const DEFAULT_CONTEXT_WINDOW = 128000;
   function showWarning(title, message) {
     const warnModal = document.getElementById('warning-modal');
     document.getElementById('warning-modal-title').textContent = title;
@@ -301,13 +387,303 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!bar || !fill || !text) return;
     const used = (usage?.prompt_tokens ?? 0) + (usage?.completion_tokens ?? 0);
     if (!used) return;
-    const pct = Math.min(100, (used / MODEL_CONTEXT_WINDOW) * 100);
+    const contextWindow = providerModels.find(m => m.id === modelSelect?.value)?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    const pct = Math.min(100, (used / contextWindow) * 100);
     fill.style.width = pct + '%';
     fill.style.background = pct > 80 ? '#f59e0b' : pct > 60 ? '#6ee7b7' : 'var(--accent-green)';
-    text.textContent = `${used.toLocaleString()} / ${MODEL_CONTEXT_WINDOW.toLocaleString()} tokens`;
+    text.textContent = `${used.toLocaleString()} / ${contextWindow.toLocaleString()} tokens`;
     bar.style.display = 'flex';
   }
 
+  const PROVIDER_LABELS = { inception: 'Inception', openrouter: 'OpenRouter' };
+
+  // Each chat remembers its provider; chats saved before that use the default
+  const providerSelect = document.getElementById('provider-select');
+  let providerOptions = [];
+  let defaultProvider = 'inception';
+  let currentProvider = null;
+
+  async function refreshProviders() {
+    if (!window.electronAPI || !providerSelect) return;
+    try {
+      const result = await window.electronAPI.listProviders();
+      providerOptions = result.providers;
+      defaultProvider = result.defaultProvider;
+    } catch (e) {
+      return;
+    }
+    providerSelect.innerHTML = '';
+    for (const provider of providerOptions) {
+      PROVIDER_LABELS[provider.id] = provider.name;
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.name;
+      providerSelect.appendChild(option);
+    }
+    showProvider(currentProvider);
+  }
+
+  // A provider that was since removed leaves the menu blank until another is picked
+  function showProvider(providerId) {
+    const previous = currentProvider;
+    currentProvider = providerId || defaultProvider;
+    if (providerSelect) providerSelect.value = currentProvider;
+    if (currentProvider !== previous) refreshModels();
+  }
+
+  // The model menu lists what the chat's provider offers (see models:list)
+  let providerModels = [];
+  async function refreshModels() {
+    if (!window.electronAPI || !modelSelect) return;
+    const provider = currentProvider;
+    let listing, settings;
+    try {
+      [listing, settings] = await Promise.all([window.electronAPI.listModels(provider), window.electronAPI.loadSettings()]);
+    } catch (e) {
+      return;
+    }
+    if (!listing || provider !== currentProvider) return;
+    providerModels = listing.models;
+    fillModelOptions(modelSelect, listing.models, settings.model);
+  }
+
+  // Sampling overrides of the displayed chat; unset fields use the defaults from settings
+  const reasoningEffortSelect = document.getElementById('reasoning-effort-select');
+  const samplingBtn = document.getElementById('sampling-btn');
+  const samplingModal = document.getElementById('sampling-modal');
+  let currentSampling = {};
+
+  function showSampling(params) {
+    currentSampling = params || {};
+    if (reasoningEffortSelect) reasoningEffortSelect.value = currentSampling.reasoningEffort || '';
+    const hasOverrides = Object.keys(currentSampling).some(key => key !== 'reasoningEffort');
+    samplingBtn?.classList.toggle('has-overrides', hasOverrides);
+  }
+
+  function saveSampling(params) {
+    showSampling(params);
+    if (currentConversationId) window.electronAPI.setConversationSampling(currentConversationId, currentSampling);
+  }
+
+  reasoningEffortSelect?.addEventListener('change', () => {
+    const { reasoningEffort: _previous, ...rest } = currentSampling;
+    saveSampling(reasoningEffortSelect.value ? { ...rest, reasoningEffort: reasoningEffortSelect.value } : rest);
+  });
+
+  function closeSamplingModal() {
+    samplingModal.classList.remove('open');
+  }
+
+  samplingBtn?.addEventListener('click', () => {
+    fillSamplingFields('chat', currentSampling);
+    document.getElementById('sampling-modal-error').style.display = 'none';
+    samplingModal.classList.add('open');
+  });
+  document.getElementById('sampling-modal-reset')?.addEventListener('click', () => fillSamplingFields('chat', {}));
+  document.getElementById('sampling-modal-cancel')?.addEventListener('click', closeSamplingModal);
+  samplingModal?.addEventListener('click', (e) => {
+    if (e.target === samplingModal) closeSamplingModal();
+  });
+  document.getElementById('sampling-modal-save')?.addEventListener('click', () => {
+    const { params, error } = readSamplingFields('chat');
+    if (error) {
+      const errorEl = document.getElementById('sampling-modal-error');
+      errorEl.textContent = error;
+      errorEl.style.display = '';
+      return;
+    }
+    saveSampling(params);
+    closeSamplingModal();
+  });
+
+  providerSelect?.addEventListener('change', () => {
+    currentProvider = providerSelect.value;
+    if (currentConversationId) window.electronAPI.setConversationProvider(currentConversationId, currentProvider);
+    refreshModels();
+  });
+  // A new default applies to the chat being started, not to saved ones
+  document.addEventListener('providersChanged', async () => {
+    await refreshProviders();
+    if (!currentConversationId) showProvider(null);
+    refreshModels();
+  });
+  refreshProviders();
+
+  // Compare mode sends each message to several provider/model pairs at once
+  const MAX_COMPARE_TARGETS = 4;
+  const compareBtn = document.getElementById('compare-btn');
+  const compareModal = document.getElementById('compare-modal');
+  const compareTargetsEl = document.getElementById('compare-targets');
+  let compareTargets = [];
+  let compareEnabled = false;
+  // A compare or variants row still waiting for the user to keep a reply
+  let undecidedReplies = null;
+  // Best-of-N: how many replies to generate for each message
+  const variantsSelect = document.getElementById('variants-select');
+
+  function showCompareEnabled(enabled) {
+    compareEnabled = enabled;
+    compareBtn?.classList.toggle('active', enabled);
+    if (compareBtn) compareBtn.title = enabled ? `Comparing ${compareTargets.length} models` : 'Compare models';
+  }
+
+  // At least two rows, at most MAX_COMPARE_TARGETS
+  function updateCompareRows() {
+    const rows = compareTargetsEl.querySelectorAll('.compare-target-row');
+    rows.forEach(row => { row.querySelector('.compare-target-remove').disabled = rows.length <= 2; });
+    document.getElementById('compare-add-btn').style.display = rows.length >= MAX_COMPARE_TARGETS ? 'none' : '';
+  }
+
+  function addCompareTargetRow(target) {
+    const row = document.createElement('div');
+    row.className = 'compare-target-row';
+    const providerSel = document.createElement('select');
+    providerSel.className = 'setting-input compare-target-provider';
+    for (const provider of providerOptions) {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.name;
+      providerSel.appendChild(option);
+    }
+    providerSel.value = target.provider;
+    const modelSel = document.createElement('select');
+    modelSel.className = 'setting-input compare-target-model';
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'compare-target-remove';
+    removeBtn.title = 'Remove';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => {
+      row.remove();
+      updateCompareRows();
+    });
+    const fillModels = async (selected) => {
+      const provider = providerSel.value;
+      let listing;
+      try {
+        // Compare can also pit Mercury against other vendors' models
+        listing = await window.electronAPI.listModels(provider, { all: true });
+      } catch (e) {
+        return;
+      }
+      if (!listing || providerSel.value !== provider) return;
+      fillModelOptions(modelSel, listing.models, selected);
+    };
+    providerSel.addEventListener('change', () => fillModels(null));
+    row.append(providerSel, modelSel, removeBtn);
+    compareTargetsEl.appendChild(row);
+    fillModels(target.model);
+    updateCompareRows();
+  }
+
+  function closeCompareModal() {
+    compareModal.classList.remove('open');
+  }
+
+  compareBtn?.addEventListener('click', async () => {
+    if (!window.electronAPI) return;
+    await refreshProviders();
+    try {
+      compareTargets = (await window.electronAPI.loadSettings()).compareTargets || [];
+    } catch (e) {}
+    let targets = compareTargets;
+    // Start with the chat's model next to the same model on another provider
+    if (targets.length < 2) {
+      const other = providerOptions.find(p => p.id !== currentProvider && p.ready) || { id: currentProvider };
+      targets = [{ provider: currentProvider, model: modelSelect.value }, { provider: other.id, model: modelSelect.value }];
+    }
+    compareTargetsEl.textContent = '';
+    targets.forEach(addCompareTargetRow);
+    document.getElementById('compare-modal-off').style.display = compareEnabled ? '' : 'none';
+    document.getElementById('compare-modal-error').style.display = 'none';
+    compareModal.classList.add('open');
+  });
+  document.getElementById('compare-add-btn')?.addEventListener('click', () => {
+    addCompareTargetRow({ provider: currentProvider, model: modelSelect.value });
+  });
+  document.getElementById('compare-modal-cancel')?.addEventListener('click', closeCompareModal);
+  compareModal?.addEventListener('click', (e) => {
+    if (e.target === compareModal) closeCompareModal();
+  });
+  document.getElementById('compare-modal-off')?.addEventListener('click', () => {
+    showCompareEnabled(false);
+    closeCompareModal();
+  });
+  document.getElementById('compare-modal-save')?.addEventListener('click', async () => {
+    const targets = [...compareTargetsEl.querySelectorAll('.compare-target-row')].map(row => ({
+      provider: row.querySelector('.compare-target-provider').value,
+      model: row.querySelector('.compare-target-model').value
+    }));
+    if (targets.some(target => !target.provider || !target.model)) {
+      const errorEl = document.getElementById('compare-modal-error');
+      errorEl.textContent = 'Choose a provider and a model in every row.';
+      errorEl.style.display = '';
+      return;
+    }
+    compareTargets = targets;
+    try {
+      const settings = await window.electronAPI.loadSettings();
+      await window.electronAPI.saveSettings({ ...settings, compareTargets: targets });
+    } catch (e) {}
+    showCompareEnabled(true);
+    closeCompareModal();
+  });
+
+  function generationMetaFromRow(message) {
+    return {
+      model: message.model,
+      provider: message.provider,
+      promptTokens: message.prompt_tokens,
+      completionTokens: message.completion_tokens,
+      ttftMs: message.ttft_ms,
+      latencyMs: message.latency_ms,
+      finishReason: message.finish_reason,
+      reasoningEffort: message.reasoning_effort
+    };
+  }
+
+  // One-line audit trail under an assistant reply: model, provider, usage, timings
+  function appendGenerationMeta(row, meta) {
+    const formatSeconds = (ms) => `${(ms / 1000).toFixed(ms < 10000 ? 2 : 1)}s`;
+    const parts = [];
+    const details = [];
+    if (meta.model) {
+      parts.push(meta.model);
+      details.push(`Model: ${meta.model}`);
+    }
+    if (meta.provider) {
+      const providerLabel = PROVIDER_LABELS[meta.provider] || meta.provider;
+      parts.push(providerLabel);
+      details.push(`Provider: ${providerLabel}`);
+    }
+    if (meta.promptTokens != null || meta.completionTokens != null) {
+      parts.push(`${(meta.promptTokens ?? '?').toLocaleString()} in \u00b7 ${(meta.completionTokens ?? '?').toLocaleString()} out`);
+      details.push(`Prompt tokens: ${meta.promptTokens ?? '?'}`, `Completion tokens: ${meta.completionTokens ?? '?'}`);
+    }
+    if (meta.ttftMs != null) {
+      parts.push(`${formatSeconds(meta.ttftMs)} to first token`);
+      details.push(`Time to first token: ${meta.ttftMs} ms`);
+    }
+    if (meta.latencyMs != null) {
+      parts.push(`${formatSeconds(meta.latencyMs)} total`);
+      details.push(`Total latency: ${meta.latencyMs} ms`);
+    }
+    if (meta.reasoningEffort) {
+      parts.push(`reasoning: ${meta.reasoningEffort}`);
+      details.push(`Reasoning effort: ${meta.reasoningEffort}`);
+    }
+    if (meta.finishReason) {
+      if (meta.finishReason !== 'stop') parts.push(meta.finishReason);
+      details.push(`Finish reason: ${meta.finishReason}`);
+    }
+    if (!parts.length) return;
+
+    const metaEl = document.createElement('div');
+    metaEl.className = 'token-usage';
+    metaEl.textContent = parts.join(' \u00b7 ');
+    metaEl.title = details.join('\n');
+    row.insertBefore(metaEl, row.querySelector('.message-actions'));
+  }
+
   function attachRegenerateButton() {
     resultsDiv.querySelectorAll('.regenerate-btn-row').forEach(el => el.remove());
     const assistantRows = resultsDiv.querySelectorAll('.message-row.assistant');
@@ -322,14 +698,68 @@ document.addEventListener('DOMContentLoaded', () => {
     resultsDiv.appendChild(btnRow);
   }
 
+  function parseIdList(value) {
+    return (value || '').split(',').filter(Boolean).map(Number);
+  }
+
+  // Show "< 2/3 >" on a row whose message has alternative branches
+  function setBranchNav(row, siblingIds) {
+    row.dataset.siblingIds = siblingIds.join(',');
+    const actions = row.querySelector('.message-actions');
+    if (!actions) return;
+    actions.querySelector('.branch-nav')?.remove();
+    actions.classList.toggle('has-branches', siblingIds.length > 1);
+    if (siblingIds.length < 2) return;
+
+    const index = siblingIds.indexOf(Number(row.dataset.messageId));
+    const nav = document.createElement('div');
+    nav.className = 'branch-nav';
+    const makeBtn = (text, title, targetId) => {
+      const btn = document.createElement('button');
+      btn.className = 'branch-nav-btn';
+      btn.textContent = text;
+      btn.title = title;
+      if (targetId) btn.dataset.targetId = targetId;
+      else btn.disabled = true;
+      return btn;
+    };
+    const label = document.createElement('span');
+    label.className = 'branch-nav-label';
+    label.textContent = `${index + 1}/${siblingIds.length}`;
+    nav.appendChild(makeBtn('\u2039', 'Previous version', index > 0 ? siblingIds[index - 1] : null));
+    nav.appendChild(label);
+    nav.appendChild(makeBtn('\u203a', 'Next version', index < siblingIds.length - 1 ? siblingIds[index + 1] : null));
+    actions.insertBefore(nav, actions.firstChild);
+  }
+
+  async function switchBranch(messageId) {
+    if (isGenerating || !window.electronAPI || !currentConversationId) return;
+    try {
+      await window.electronAPI.setActiveBranch(currentConversationId, messageId);
+    } catch (err) {
+      console.error('Failed to switch branch:', err);
+      return;
+    }
+    const title = document.getElementById('conversation-title')?.textContent || '';
+    await loadConversation(currentConversationId, title, { focusMessageId: messageId, highlight: false });
+  }
+
   async function handleRegenerate() {
     if (isGenerating) return;
     if (!conversationHistory.length || conversationHistory[conversationHistory.length - 1].role !== 'assistant') return;
     conversationHistory.pop();
     resultsDiv.querySelectorAll('.regenerate-btn-row').forEach(el => el.remove());
     const assistantRows = resultsDiv.querySelectorAll('.message-row.assistant');
-    if (assistantRows.length) assistantRows[assistantRows.length - 1].remove();
-    await runRequest();
+    const lastRow = assistantRows[assistantRows.length - 1];
+    if (lastRow) {
+      // The old reply stays in the database; the new one is saved as its sibling
+      if (lastRow.dataset.messageId) {
+        currentLeafId = lastRow.dataset.parentId ? Number(lastRow.dataset.parentId) : null;
+        pendingSiblingIds = parseIdList(lastRow.dataset.siblingIds);
+      }
+      lastRow.remove();
+    }
+    await runReply();
   }
 
   function setConversationTitle(title) {
@@ -337,84 +767,105 @@ document.addEventListener('DOMContentLoaded', () => {
     if (el) el.textContent = title || '';
   }
 
-  async function generateAutoTitle(firstUserMessage, apiUrl, apiKey, resolvedModel) {
+  async function generateAutoTitle(conversationId, firstUserMessage, provider) {
+    if (!window.electronAPI) return;
     try {
-      const res = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-        body: JSON.stringify({
-          model: resolvedModel,
-          messages: [{ role: 'user', content: `Write a short title (4 words or fewer) for a conversation that starts with: "${firstUserMessage.substring(0, 200)}". Reply with only the title, no quotes or punctuation.` }],
-          max_tokens: 20,
-          stream: false
-        })
-      });
-      if (!res.ok) return;
-      const data = await res.json();
-      const title = data.choices?.[0]?.message?.content?.trim();
+      const title = await window.electronAPI.generateTitle(firstUserMessage, provider);
       if (title) {
-        setConversationTitle(title);
-        if (window.electronAPI) {
-          await window.electronAPI.updateConversationTitle(title);
+        if (conversationId === currentConversationId) setConversationTitle(title);
+        if (conversationId) {
+          await window.electronAPI.updateConversationTitle(conversationId, title);
           setTimeout(loadRecentChats, 200);
         }
       }
     } catch (e) {}
   }
 
-  async function runRequest() {
-    let settings = { apiKey: '', model: modelSelect.value || 'mercury-2', maxTokens: 32768, systemPrompt: '' };
-    if (window.electronAPI) {
-      try { settings = await window.electronAPI.loadSettings(); } catch (e) {}
-    }
-
-    const hasInceptionKey = settings.apiKey?.trim();
-    const hasOpenRouterKey = settings.openRouterApiKey?.trim();
-    const useOpenRouter = !hasInceptionKey && hasOpenRouterKey;
-    const activeApiUrl = useOpenRouter ? OPENROUTER_API_URL : INCEPTION_API_URL;
-    const activeApiKey = useOpenRouter ? settings.openRouterApiKey.trim() : settings.apiKey.trim();
-    const model = (settings.model === 'mercury' ? 'mercury-2' : settings.model) || modelSelect.value || 'mercury-2';
-    const maxTokens = settings.maxTokens || 32768;
-
-    let resolvedModel;
-    if (useOpenRouter) {
-      const map = { 'mercury-2': 'inception/mercury-2' };
-      if (!map[model]) {
-        showWarning('Model Not Available on OpenRouter',
-          `"${model}" is not available on OpenRouter. Switch to Mercury 2.`);
-        return;
-      }
-      resolvedModel = map[model];
-    } else {
-      const map = { 'mercury-2': 'mercury-2' };
-      if (!map[model]) {
-        showWarning('Model Not Available',
-          `"${model}" is not available. Switch to Mercury 2.`);
-        return;
-      }
-      resolvedModel = map[model];
-    }
+  // Chat requests stream from the main process; route its events to the
+  // request that started them
+  const pendingChats = new Map();
+  if (window.electronAPI) {
+    window.electronAPI.onChatDelta(({ requestId, content, reasoning, draft }) => {
+      pendingChats.get(requestId)?.onDelta({ content, reasoning, draft });
+    });
+    window.electronAPI.onChatStatus((status) => {
+      pendingChats.get(status.requestId)?.onStatus?.(status);
+    });
+    window.electronAPI.onChatTool((call) => {
+      pendingChats.get(call.requestId)?.onTool?.(call);
+    });
+    window.electronAPI.onChatDone((result) => {
+      const pending = pendingChats.get(result.requestId);
+      if (!pending) return;
+      pendingChats.delete(result.requestId);
+      pending.resolve(result);
+    });
+  }
 
-    const reasoningToggle = document.getElementById('reasoning-toggle');
-    const messages = [];
-    if (settings.systemPrompt?.trim()) {
-      messages.push({ role: 'system', content: settings.systemPrompt.trim() });
-    }
-    messages.push(...compactHistory(conversationHistory, maxTokens));
+  // Resolves with the chat:done payload, or { startError } if the request was refused.
+  // onStatus receives retry and failover progress, onTool each tool call's progress.
+  function streamChat(request, { onDelta, onStatus, onTool }) {
+    return new Promise(resolve => {
+      pendingChats.set(request.requestId, { onDelta, onStatus, onTool, resolve });
+      window.electronAPI.startChat(request).then(started => {
+        if (started.ok) return;
+        pendingChats.delete(request.requestId);
+        resolve({ startError: started.error });
+      }, err => {
+        pendingChats.delete(request.requestId);
+        resolve({ startError: { title: 'Request Failed', message: err.message } });
+      });
+    });
+  }
 
-    const payload = {
-      model: resolvedModel,
-      messages,
-      max_tokens: maxTokens,
-      stream: true,
-      ...(model === 'mercury-2' && reasoningToggle?.checked ? { reasoning_effort: 'instant' } : {})
+  // Shows a diffusing draft in place of the previous one. Diffusion refines
+  // words where they stand, so words are compared by position and the ones
+  // that changed are wrapped to fade in.
+  function renderDraft(el, previous, draft) {
+    const before = previous.split(/(\s+)/);
+    const words = draft.split(/(\s+)/);
+    el.textContent = '';
+    let run = '';
+    let runChanged = false;
+    const flush = () => {
+      if (!run) return;
+      if (runChanged) {
+        const span = document.createElement('span');
+        span.className = 'diffusing-change';
+        span.textContent = run;
+        el.appendChild(span);
+      } else {
+        el.appendChild(document.createTextNode(run));
+      }
+      run = '';
     };
+    words.forEach((word, i) => {
+      // Whitespace joins the run it follows, so a changed phrase is one span
+      const changed = word.trim() ? word !== before[i] : runChanged;
+      if (changed !== runChanged) {
+        flush();
+        runChanged = changed;
+      }
+      run += word;
+    });
+    flush();
+  }
 
-    const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${activeApiKey}` };
-    if (useOpenRouter) {
-      headers['HTTP-Referer'] = 'https://github.com/tullytim/inception_desktop';
-      headers['X-Title'] = 'Inception Desktop';
-    }
+  function describeAttemptStatus({ provider, attempt, maxAttempts, retryInMs, reason, failover }) {
+    if (retryInMs > 0) return `${reason} \u2014 retrying in ${Math.ceil(retryInMs / 1000)}s`;
+    if (failover) return `${reason} \u2014 switching to ${provider}\u2026`;
+    return `Attempt ${attempt} of ${maxAttempts} on ${provider}\u2026`;
+  }
+
+  async function runRequest() {
+    // Pin the reply to the conversation it was requested in, even if the user switches chats mid-stream
+    const conversationId = currentConversationId;
+    const provider = currentProvider;
+    const sampling = currentSampling;
+    const parentId = currentLeafId;
+    const siblingIds = pendingSiblingIds;
+    pendingSiblingIds = [];
+    if (!window.electronAPI) return;
 
     // Build assistant row
     const assistantRow = document.createElement('div');
@@ -426,17 +877,22 @@ document.addEventListener('DOMContentLoaded', () => {
     assistantBubble.className = 'message-bubble';
 
     // Reasoning block (hidden until reasoning tokens arrive)
-    const reasoningDetails = document.createElement('details');
-    reasoningDetails.className = 'reasoning-block';
-    reasoningDetails.style.display = 'none';
-    const reasoningSummary = document.createElement('summary');
-    reasoningSummary.textContent = 'Thinking\u2026';
-    const reasoningContent = document.createElement('div');
-    reasoningContent.className = 'reasoning-content';
-    reasoningDetails.appendChild(reasoningSummary);
-    reasoningDetails.appendChild(reasoningContent);
+    const reasoningDetails = createReasoningBlock();
+    const reasoningSummary = reasoningDetails.querySelector('summary');
+    const reasoningContent = reasoningDetails.querySelector('.reasoning-content');
     assistantBubble.appendChild(reasoningDetails);
 
+    // Tool calls, added as the model makes them
+    const toolCallsEl = createToolCallsBlock();
+    const toolCallEls = new Map();
+    assistantBubble.appendChild(toolCallsEl);
+
+    // Retry progress, shown until the reply starts arriving
+    const attemptStatusEl = document.createElement('div');
+    attemptStatusEl.className = 'attempt-status';
+    attemptStatusEl.style.display = 'none';
+    assistantBubble.appendChild(attemptStatusEl);
+
     const streamingEl = document.createElement('div');
     streamingEl.className = 'streaming-text active';
     assistantBubble.appendChild(streamingEl);
@@ -448,82 +904,73 @@ document.addEventListener('DOMContentLoaded', () => {
     resultsDiv.appendChild(assistantRow);
     assistantRow.scrollIntoView({ behavior: 'smooth', block: 'start' });
 
-    currentAbortController = new AbortController();
+    const requestId = crypto.randomUUID();
+    currentRequestIds = [requestId];
     setGenerating(true);
 
     let fullReply = '';
     let fullReasoning = '';
-    let usage = null;
-    let errored = false;
-
-    try {
-      const res = await fetch(activeApiUrl, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(payload),
-        signal: currentAbortController.signal
-      });
-
-      if (!res.ok) {
-        let errMsg = `API error (${res.status})`;
-        try { const b = await res.json(); if (b.error?.message) errMsg = typeof b.error.message === 'string' ? b.error.message : JSON.stringify(b.error); } catch {}
-        throw new Error(errMsg);
-      }
-
-      const contentType = res.headers.get('content-type') || '';
-      if (contentType.includes('text/event-stream')) {
-        const reader = res.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop();
-          for (const line of lines) {
-            if (!line.startsWith('data: ')) continue;
-            const raw = line.slice(6).trim();
-            if (raw === '[DONE]') continue;
-            try {
-              const chunk = JSON.parse(raw);
-              const reasoning = chunk.choices?.[0]?.delta?.reasoning;
-              if (reasoning) {
-                fullReasoning += reasoning;
-                reasoningDetails.style.display = '';
-                reasoningContent.textContent = fullReasoning;
-              }
-              const token = chunk.choices?.[0]?.delta?.content;
-              if (token) {
-                fullReply += token;
-                streamingEl.textContent = fullReply;
-                assistantRow.scrollIntoView({ behavior: 'instant', block: 'nearest' });
-              }
-              if (chunk.usage) usage = chunk.usage;
-            } catch {}
-          }
+    const result = await streamChat({
+      requestId,
+      provider,
+      messages: conversationHistory.map(m => ({ role: m.role, content: m.content })),
+      sampling
+    }, {
+      onDelta: ({ content, reasoning, draft }) => {
+        attemptStatusEl.style.display = 'none';
+        if (reasoning) {
+          fullReasoning += reasoning;
+          reasoningDetails.style.display = '';
+          reasoningContent.textContent = fullReasoning;
         }
-      } else {
-        const b = await res.json();
-        fullReply = b.choices?.[0]?.message?.content || '';
-        if (fullReply) streamingEl.textContent = fullReply;
-        if (b.usage) usage = b.usage;
-      }
-    } catch (err) {
-      if (err.name !== 'AbortError') {
-        errored = true;
-        assistantRow.remove();
-        const errDiv = document.createElement('div');
-        errDiv.style.color = '#ff6b6b';
-        errDiv.innerHTML = '<b>Error:</b> ';
-        errDiv.appendChild(document.createTextNode(err.message));
-        resultsDiv.appendChild(errDiv);
-        setGenerating(false);
-        currentAbortController = null;
-        return;
+        if (draft !== undefined) {
+          renderDraft(streamingEl, fullReply, draft);
+          fullReply = draft;
+          assistantRow.scrollIntoView({ behavior: 'instant', block: 'nearest' });
+        } else if (content) {
+          fullReply += content;
+          streamingEl.textContent = fullReply;
+          assistantRow.scrollIntoView({ behavior: 'instant', block: 'nearest' });
+        }
+      },
+      onStatus: (status) => {
+        attemptStatusEl.textContent = describeAttemptStatus(status);
+        attemptStatusEl.style.display = '';
+      },
+      onTool: (call) => {
+        let details = toolCallEls.get(call.id);
+        if (!details) {
+          details = document.createElement('details');
+          toolCallEls.set(call.id, details);
+          toolCallsEl.appendChild(details);
+          toolCallsEl.style.display = '';
+        }
+        renderToolCall(details, call);
+        assistantRow.scrollIntoView({ behavior: 'instant', block: 'nearest' });
       }
+    });
+    currentRequestIds = [];
+    attemptStatusEl.remove();
+
+    if (result.startError) {
+      assistantRow.remove();
+      setGenerating(false);
+      showWarning(result.startError.title, result.startError.message);
+      return;
     }
+    if (result.error) {
+      assistantRow.remove();
+      const errDiv = document.createElement('div');
+      errDiv.style.color = '#ff6b6b';
+      errDiv.innerHTML = '<b>Error:</b> ';
+      errDiv.appendChild(document.createTextNode(result.error));
+      resultsDiv.appendChild(errDiv);
+      setGenerating(false);
+      return;
+    }
+    fullReply = result.content;
+    fullReasoning = result.reasoning;
+    const usage = result.usage;
 
     // Remove streaming cursor class
     streamingEl.classList.remove('active');
@@ -535,8 +982,7 @@ document.addEventListener('DOMContentLoaded', () => {
       contentDiv.innerHTML = sanitize(marked.parse(fullReply));
       assistantBubble.appendChild(contentDiv);
       await postProcess(contentDiv);
-    } else if (!errored) {
-      streamingEl.classList.remove('active');
+    } else {
       streamingEl.textContent = '[No response]';
     }
 
@@ -545,14 +991,8 @@ document.addEventListener('DOMContentLoaded', () => {
       reasoningSummary.textContent = 'Reasoning';
     }
 
-    // Token usage
-    if (usage) {
-      const usageEl = document.createElement('div');
-      usageEl.className = 'token-usage';
-      usageEl.textContent = `${(usage.prompt_tokens ?? '?').toLocaleString()} in \u00b7 ${(usage.completion_tokens ?? '?').toLocaleString()} out`;
-      assistantRow.appendChild(usageEl);
-      updateContextBar(usage);
-    }
+    const generationMeta = { ...result.meta, reasoning: fullReasoning || null };
+    if (usage) updateContextBar(usage);
 
     // Add action buttons and timestamp to assistant message
     if (fullReply) {
@@ -571,6 +1011,7 @@ document.addEventListener('DOMContentLoaded', () => {
       });
       actions.appendChild(copyBtn);
       assistantRow.appendChild(actions);
+      appendGenerationMeta(assistantRow, generationMeta);
 
       const timeEl = document.createElement('span');
       timeEl.className = 'msg-time';
@@ -578,25 +1019,292 @@ document.addEventListener('DOMContentLoaded', () => {
       assistantRow.appendChild(timeEl);
     }
 
-    // Save to history and DB
-    if (fullReply) {
-      conversationHistory.push({ role: 'assistant', content: fullReply });
-      if (window.electronAPI) {
-        try { await window.electronAPI.saveMessage('assistant', fullReply); } catch (e) {}
+    await saveReply({ conversationId, provider, parentId, siblingIds, row: assistantRow, content: fullReply, reasoning: fullReasoning, generationMeta });
+    setGenerating(false);
+  }
+
+  function runReply() {
+    if (compareEnabled && compareTargets.length >= 2) return runCompare();
+    const variants = parseInt(variantsSelect?.value, 10) || 1;
+    return variants > 1 ? runVariants(variants) : runRequest();
+  }
+
+  // A reply streamed into a pane of its own, for compare columns and variant tabs
+  function createReplyPane() {
+    const body = document.createElement('div');
+    const reasoningDetails = createReasoningBlock();
+    const toolCallsEl = createToolCallsBlock();
+    const attemptStatusEl = document.createElement('div');
+    attemptStatusEl.className = 'attempt-status';
+    attemptStatusEl.style.display = 'none';
+    const streamingEl = document.createElement('div');
+    streamingEl.className = 'streaming-text active';
+    body.append(reasoningDetails, toolCallsEl, attemptStatusEl, streamingEl);
+    return { requestId: crypto.randomUUID(), body, reasoningDetails, toolCallsEl, attemptStatusEl, streamingEl, reply: '', reasoning: '', result: null, generationMeta: null };
+  }
+
+  // Streams and renders one reply. generationMeta is only set if text arrived.
+  async function streamIntoPane(pane, request) {
+    const toolCallEls = new Map();
+    pane.result = await streamChat({ ...request, requestId: pane.requestId }, {
+      onDelta: ({ content, reasoning, draft }) => {
+        pane.attemptStatusEl.style.display = 'none';
+        if (reasoning) {
+          pane.reasoning += reasoning;
+          pane.reasoningDetails.style.display = '';
+          pane.reasoningDetails.querySelector('.reasoning-content').textContent = pane.reasoning;
+        }
+        if (draft !== undefined) {
+          renderDraft(pane.streamingEl, pane.reply, draft);
+          pane.reply = draft;
+        } else if (content) {
+          pane.reply += content;
+          pane.streamingEl.textContent = pane.reply;
+        }
+      },
+      onStatus: (status) => {
+        pane.attemptStatusEl.textContent = describeAttemptStatus(status);
+        pane.attemptStatusEl.style.display = '';
+      },
+      onTool: (call) => {
+        let details = toolCallEls.get(call.id);
+        if (!details) {
+          details = document.createElement('details');
+          toolCallEls.set(call.id, details);
+          pane.toolCallsEl.appendChild(details);
+          pane.toolCallsEl.style.display = '';
+        }
+        renderToolCall(details, call);
+      }
+    });
+
+    const { result } = pane;
+    pane.attemptStatusEl.remove();
+    pane.streamingEl.remove();
+    const error = result.startError?.message || result.error;
+    if (error) {
+      const errorEl = document.createElement('div');
+      errorEl.className = 'reply-pane-error';
+      errorEl.textContent = error;
+      pane.body.appendChild(errorEl);
+      return;
+    }
+    pane.reply = result.content;
+    pane.reasoning = result.reasoning;
+    if (pane.reasoning) pane.reasoningDetails.querySelector('summary').textContent = 'Reasoning';
+    if (!pane.reply) {
+      pane.body.appendChild(document.createTextNode('[No response]'));
+      return;
+    }
+    const contentDiv = document.createElement('div');
+    contentDiv.innerHTML = sanitize(marked.parse(pane.reply));
+    pane.body.appendChild(contentDiv);
+    await postProcess(contentDiv);
+    pane.generationMeta = { ...result.meta, reasoning: pane.reasoning || null };
+    appendGenerationMeta(pane.body, pane.generationMeta);
+  }
+
+  // Runs every pane's request at once. Resolves with the panes that produced
+  // a reply the user can keep.
+  async function streamPanes(panes, requests) {
+    currentRequestIds = panes.map(pane => pane.requestId);
+    setGenerating(true);
+    await Promise.all(panes.map((pane, i) => streamIntoPane(pane, requests[i])));
+    currentRequestIds = [];
+    setGenerating(false);
+    return panes.filter(pane => pane.generationMeta);
+  }
+
+  function createKeepButton(text, onKeep) {
+    const keepBtn = document.createElement('button');
+    keepBtn.className = 'keep-reply-btn';
+    keepBtn.textContent = text;
+    keepBtn.addEventListener('click', onKeep);
+    return keepBtn;
+  }
+
+  // Streams the reply from every compare target into its own column. Nothing
+  // is saved until the user keeps one of the replies; the others are dropped.
+  async function runCompare() {
+    const conversationId = currentConversationId;
+    const sampling = currentSampling;
+    const parentId = currentLeafId;
+    const siblingIds = pendingSiblingIds;
+    pendingSiblingIds = [];
+    if (!window.electronAPI) return;
+    const messages = conversationHistory.map(m => ({ role: m.role, content: m.content }));
+
+    const compareRow = document.createElement('div');
+    compareRow.className = 'message-row compare-row';
+    const label = document.createElement('div');
+    label.className = 'message-label';
+    label.textContent = 'Compare';
+    const columnsEl = document.createElement('div');
+    columnsEl.className = 'compare-columns';
+    compareRow.append(label, columnsEl);
+    hideTypingIndicator();
+    resultsDiv.appendChild(compareRow);
+    compareRow.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    const targets = compareTargets;
+    const panes = targets.map(target => {
+      const pane = createReplyPane();
+      pane.column = document.createElement('div');
+      pane.column.className = 'compare-column';
+      const header = document.createElement('div');
+      header.className = 'compare-column-header';
+      header.textContent = `${PROVIDER_LABELS[target.provider] || target.provider} · ${target.model}`;
+      pane.body.className = 'message-bubble compare-column-body';
+      pane.column.append(header, pane.body);
+      columnsEl.appendChild(pane.column);
+      return pane;
+    });
+
+    const kept = await streamPanes(panes, targets.map(target => ({ provider: target.provider, model: target.model, messages, sampling })));
+    if (!kept.length) return;
+    undecidedReplies = compareRow;
+    for (const pane of kept) {
+      const provider = targets[panes.indexOf(pane)].provider;
+      pane.column.appendChild(createKeepButton('Keep This Reply', () => {
+        keepReply(compareRow, pane, [], { conversationId, provider, parentId, siblingIds });
+      }));
+    }
+  }
+
+  // Best-of-N: the same request n times at once, shown as tabs in one bubble.
+  // The kept variant continues the chat; the others are saved as its
+  // alternatives, reachable with the branch arrows.
+  async function runVariants(n) {
+    const conversationId = currentConversationId;
+    const provider = currentProvider;
+    const sampling = currentSampling;
+    const parentId = currentLeafId;
+    const siblingIds = pendingSiblingIds;
+    pendingSiblingIds = [];
+    if (!window.electronAPI) return;
+    const messages = conversationHistory.map(m => ({ role: m.role, content: m.content }));
+
+    const variantsRow = document.createElement('div');
+    variantsRow.className = 'message-row variants-row';
+    const label = document.createElement('div');
+    label.className = 'message-label';
+    label.textContent = 'Inception';
+    const bubble = document.createElement('div');
+    bubble.className = 'message-bubble';
+    const tabsEl = document.createElement('div');
+    tabsEl.className = 'variant-tabs';
+    tabsEl.setAttribute('role', 'tablist');
+    bubble.appendChild(tabsEl);
+    variantsRow.append(label, bubble);
+    hideTypingIndicator();
+    resultsDiv.appendChild(variantsRow);
+    variantsRow.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    const panes = [];
+    const showVariant = (index) => {
+      panes.forEach((pane, i) => {
+        pane.tab.classList.toggle('active', i === index);
+        pane.body.style.display = i === index ? '' : 'none';
+      });
+    };
+    for (let i = 0; i < n; i++) {
+      const pane = createReplyPane();
+      pane.body.className = 'variant-pane';
+      pane.tab = document.createElement('button');
+      pane.tab.className = 'variant-tab';
+      pane.tab.setAttribute('role', 'tab');
+      pane.tab.textContent = `Variant ${i + 1}`;
+      pane.tab.addEventListener('click', () => showVariant(i));
+      tabsEl.appendChild(pane.tab);
+      bubble.appendChild(pane.body);
+      panes.push(pane);
+    }
+    showVariant(0);
+
+    const kept = await streamPanes(panes, panes.map(() => ({ provider, messages, sampling })));
+    for (const pane of panes) pane.tab.classList.toggle('failed', !pane.generationMeta);
+    if (!kept.length) return;
+    undecidedReplies = variantsRow;
+    for (const pane of kept) {
+      pane.body.appendChild(createKeepButton('Keep This Variant', () => {
+        keepReply(variantsRow, pane, kept.filter(other => other !== pane), { conversationId, provider, parentId, siblingIds });
+      }));
+    }
+  }
+
+  // Replaces the compare or variants row with the kept reply, saved like any
+  // other. Alternates are saved after it as its siblings, and the kept reply
+  // is made the active branch again since every save moves the leaf.
+  async function keepReply(row, pane, alternates, { conversationId, provider, parentId, siblingIds }) {
+    if (isGenerating || !row.isConnected) return;
+    undecidedReplies = null;
+    const { result, generationMeta } = pane;
+    const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const messageRow = createMessageElement('assistant', marked.parse(pane.reply), pane.reply, time, pane.reasoning || null, result.meta?.toolCalls || null);
+    appendGenerationMeta(messageRow, generationMeta);
+    row.replaceWith(messageRow);
+    await postProcess(messageRow.querySelector('.message-bubble'));
+    if (result.usage) updateContextBar(result.usage);
+    await saveReply({ conversationId, provider, parentId, siblingIds, row: messageRow, content: pane.reply, reasoning: pane.reasoning, generationMeta });
+
+    if (!conversationId || !alternates.length) return;
+    // saveReply has already warned if the kept reply itself wasn't saved
+    const keptId = Number(messageRow.dataset.messageId);
+    if (!keptId) return;
+    const alternateIds = [];
+    for (const alternate of alternates) {
+      try {
+        const messageId = await window.electronAPI.saveMessage(conversationId, 'assistant', alternate.reply, parentId, alternate.generationMeta);
+        if (messageId) alternateIds.push(messageId);
+      } catch (e) {}
+    }
+    const lost = alternates.length - alternateIds.length;
+    if (lost) {
+      showWarning('Variants Not Saved', `${lost} of the other ${alternates.length} variant${alternates.length === 1 ? '' : 's'} could not be saved as alternates, so only the kept reply remains.`);
+    }
+    if (!alternateIds.length) return;
+    try {
+      await window.electronAPI.setActiveBranch(conversationId, keptId);
+    } catch (e) {}
+    setBranchNav(messageRow, [...siblingIds, keptId, ...alternateIds]);
+  }
+
+  // Adds a finished reply to the history and saves it as parentId's child,
+  // an alternative to siblingIds
+  async function saveReply({ conversationId, provider, parentId, siblingIds, row, content, reasoning, generationMeta }) {
+    const isCurrent = conversationId === currentConversationId;
+    if (content) {
+      if (isCurrent) conversationHistory.push({ role: 'assistant', content, reasoning: reasoning || null });
+      if (window.electronAPI && conversationId) {
+        let messageId = null;
+        try {
+          messageId = await window.electronAPI.saveMessage(conversationId, 'assistant', content, parentId, generationMeta);
+        } catch (e) {}
+        if (messageId) {
+          row.dataset.messageId = messageId;
+          if (parentId) row.dataset.parentId = parentId;
+          setBranchNav(row, [...siblingIds, messageId]);
+          if (conversationId === currentConversationId) currentLeafId = messageId;
+        } else {
+          // Trashed chats refuse new messages, e.g. one trashed while this reply streamed
+          let trashed = false;
+          try { trashed = !!(await window.electronAPI.getConversation(conversationId))?.deleted_at; } catch (e) {}
+          showWarning('Reply Not Saved', trashed
+            ? 'The chat was moved to the Trash while the reply was generating, so the reply was not saved. Restore the chat and regenerate to get it back.'
+            : 'The reply could not be saved to the chat history.');
+        }
       }
     }
 
     // Auto-title after first exchange
-    if (conversationHistory.length === 2 && conversationHistory[0].role === 'user') {
+    if (isCurrent && conversationHistory.length === 2 && conversationHistory[0].role === 'user') {
       const firstMsg = conversationHistory[0].content;
       setConversationTitle(firstMsg.length > 50 ? firstMsg.substring(0, 50) + '\u2026' : firstMsg);
-      generateAutoTitle(firstMsg, activeApiUrl, activeApiKey, resolvedModel);
+      generateAutoTitle(conversationId, firstMsg, provider);
     }
 
     attachRegenerateButton();
     setTimeout(loadRecentChats, 100);
-    setGenerating(false);
-    currentAbortController = null;
   }
 
   // ── Scroll to bottom ──
@@ -610,14 +1318,22 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   // ── Export conversation ──
-  function exportConversation() {
+  async function exportConversation() {
     if (!conversationHistory.length) return;
+    let includeReasoning = false;
+    if (window.electronAPI) {
+      try { includeReasoning = !!(await window.electronAPI.loadSettings())?.exportReasoning; } catch (e) {}
+    }
     const title = document.getElementById('conversation-title')?.textContent?.trim() || 'Conversation';
     const date = new Date().toLocaleDateString();
     let md = `# ${title}\n_Exported ${date}_\n\n`;
     conversationHistory.forEach(m => {
       const label = m.role === 'user' ? 'You' : 'Assistant';
-      md += `**${label}**\n\n${m.content}\n\n---\n\n`;
+      md += `**${label}**\n\n`;
+      if (includeReasoning && m.reasoning) {
+        md += `<details>\n<summary>Reasoning</summary>\n\n${m.reasoning}\n\n</details>\n\n`;
+      }
+      md += `${m.content}\n\n---\n\n`;
     });
     const blob = new Blob([md], { type: 'text/markdown' });
     const url = URL.createObjectURL(blob);
@@ -631,74 +1347,504 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   document.getElementById('export-btn')?.addEventListener('click', exportConversation);
 
+  function startNewChat() {
+    resultsDiv.innerHTML = '';
+    chatInput.value = '';
+    conversationHistory = [];
+    currentConversationId = null;
+    currentLeafId = null;
+    pendingSiblingIds = [];
+    showProvider(null);
+    showSampling({});
+    setConversationTitle('');
+    if (welcomeState) welcomeState.style.display = '';
+    setTimeout(loadRecentChats, 100);
+  }
+
   // ── Keyboard shortcuts ──
   document.addEventListener('keydown', (e) => {
     const mod = e.metaKey || e.ctrlKey;
     if (mod && e.key === 'k') {
       e.preventDefault();
-      // New chat
-      resultsDiv.innerHTML = '';
-      chatInput.value = '';
-      conversationHistory = [];
-      setConversationTitle('');
-      if (welcomeState) welcomeState.style.display = '';
-      if (window.electronAPI) window.electronAPI.newChat().catch(() => {});
-      setTimeout(loadRecentChats, 100);
+      startNewChat();
     }
     if (mod && e.key === '/') {
       e.preventDefault();
       chatInput.focus();
     }
     if (e.key === 'Escape') {
-      if (isGenerating && currentAbortController) {
-        currentAbortController.abort();
+      if (samplingModal?.classList.contains('open')) {
+        closeSamplingModal();
+        return;
       }
+      if (compareModal?.classList.contains('open')) {
+        closeCompareModal();
+        return;
+      }
+      if (isGenerating) abortCurrentRequests();
     }
   });
 
+  // ── Encrypted history lock screen ──
+  async function showLockScreenIfLocked() {
+    if (!window.electronAPI) return false;
+    let status;
+    try { status = await window.electronAPI.getEncryptionStatus(); } catch (e) { return false; }
+    if (!status.locked) return false;
+
+    const lockScreen = document.getElementById('lock-screen');
+    const form = document.getElementById('lock-form');
+    const input = document.getElementById('lock-passphrase');
+    const errorEl = document.getElementById('lock-error');
+    if (status.mode === 'safeStorage') {
+      // Nothing to type: the key lives in the system keychain
+      document.getElementById('lock-message').textContent =
+        'The system keychain could not unlock your chat history. Make sure you are signed in to the same OS account, then restart Inception.';
+      input.style.display = 'none';
+      document.getElementById('lock-unlock-btn').style.display = 'none';
+    }
+    lockScreen.classList.add('open');
+    input.focus();
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!input.value) return;
+      errorEl.textContent = '';
+      const unlocked = await window.electronAPI.unlockDatabase(input.value);
+      if (!unlocked) {
+        errorEl.textContent = 'Incorrect passphrase';
+        input.select();
+        return;
+      }
+      input.value = '';
+      lockScreen.classList.remove('open');
+      loadRecentChats();
+      chatInput.focus();
+    });
+    return true;
+  }
+
   // ── Load recent chats ──
-  loadRecentChats();
+  showLockScreenIfLocked().then(locked => {
+    if (!locked) loadRecentChats();
+  });
 
   document.addEventListener('refreshRecentChats', loadRecentChats);
   document.addEventListener('clearConversationHistory', () => {
     conversationHistory = [];
+    currentConversationId = null;
+    currentLeafId = null;
+    pendingSiblingIds = [];
+    showProvider(null);
+    showSampling({});
     setConversationTitle('');
   });
 
   if (window.electronAPI && window.electronAPI.onMenuCommand) {
-    window.electronAPI.onMenuCommand('menu:new-chat', () => {
-      resultsDiv.innerHTML = '';
-      chatInput.value = '';
-      conversationHistory = [];
-      setConversationTitle('');
-      if (welcomeState) welcomeState.style.display = '';
-      if (window.electronAPI) window.electronAPI.newChat();
-      setTimeout(loadRecentChats, 100);
-    });
+    window.electronAPI.onMenuCommand('menu:new-chat', startNewChat);
+    window.electronAPI.onMenuCommand('menu:history-imported', loadRecentChats);
+  }
+
+  // SQLite CURRENT_TIMESTAMP values are UTC but carry no zone designator
+  function parseDbDate(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+      return new Date(value.replace(' ', 'T') + 'Z');
+    }
+    return new Date(value);
   }
 
+  function recentGroupLabel(date) {
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const dayMs = 24 * 60 * 60 * 1000;
+    if (date >= startOfToday) return 'Today';
+    if (date >= startOfToday - dayMs) return 'Yesterday';
+    if (date >= startOfToday - 7 * dayMs) return 'Previous 7 days';
+    return 'Older';
+  }
+
+  const RECENTS_PAGE_SIZE = 30;
+  const RECENTS_EMPTY_TEXT = { all: 'No recent chats', starred: 'No starred chats', archived: 'No archived chats', trash: 'Trash is empty' };
+  let recentsFilter = 'all';
+  let recentsFolderId = null;
+  let recentsCursor = null;
+  let recentsGeneration = 0;
+  let loadingMoreRecents = false;
+
   async function loadRecentChats() {
     if (!window.electronAPI) return;
+    const generation = ++recentsGeneration;
     try {
-      allRecentChats = await window.electronAPI.getRecentChats();
-      const searchVal = (document.getElementById('chat-search')?.value || '').toLowerCase().trim();
-      displayRecentChats(searchVal ? allRecentChats.filter(c =>
-        (c.title || c.first_message || '').toLowerCase().includes(searchVal)
-      ) : allRecentChats);
+      // Refresh every row already scrolled into view, not just the first page.
+      // The main process caps each page, so long lists take several.
+      const wanted = Math.max(RECENTS_PAGE_SIZE, allRecentChats.length);
+      const query = { filter: recentsFilter, folderId: recentsFolderId };
+      let [page] = await Promise.all([
+        window.electronAPI.getRecentChats({ ...query, limit: wanted }),
+        loadFolders()
+      ]);
+      const chats = page.chats;
+      while (page.nextCursor && chats.length < wanted) {
+        if (generation !== recentsGeneration) return;
+        page = await window.electronAPI.getRecentChats({ ...query, cursor: page.nextCursor, limit: wanted - chats.length });
+        chats.push(...page.chats);
+      }
+      if (generation !== recentsGeneration) return;
+      allRecentChats = chats;
+      recentsCursor = page.nextCursor;
+      const searchVal = (document.getElementById('chat-search')?.value || '').trim();
+      if (searchVal) {
+        await runSearch(searchVal);
+      } else {
+        displayRecentChats(allRecentChats);
+      }
     } catch (err) {
       console.error('Failed to load recent chats:', err);
     }
   }
 
-  function displayRecentChats(chats) {
+  async function loadMoreRecentChats() {
+    if (!window.electronAPI || !recentsCursor || loadingMoreRecents) return;
+    if ((document.getElementById('chat-search')?.value || '').trim()) return;
+    const generation = recentsGeneration;
+    loadingMoreRecents = true;
+    try {
+      const page = await window.electronAPI.getRecentChats({ filter: recentsFilter, folderId: recentsFolderId, cursor: recentsCursor, limit: RECENTS_PAGE_SIZE });
+      // A full refresh started meanwhile and already covers these rows
+      if (generation !== recentsGeneration) return;
+      allRecentChats = allRecentChats.concat(page.chats);
+      recentsCursor = page.nextCursor;
+      displayRecentChats(page.chats, { append: true });
+    } catch (err) {
+      console.error('Failed to load more recent chats:', err);
+    } finally {
+      loadingMoreRecents = false;
+    }
+  }
+
+  // Keep fetching pages until the list overflows or the user is near the bottom
+  function maybeLoadMoreRecents() {
+    const recentsContainer = document.getElementById('recents-list');
+    if (!recentsContainer) return;
+    const distFromBottom = recentsContainer.scrollHeight - recentsContainer.scrollTop - recentsContainer.clientHeight;
+    if (distFromBottom < 120) loadMoreRecentChats();
+  }
+  document.getElementById('recents-list')?.addEventListener('scroll', maybeLoadMoreRecents);
+
+  document.querySelectorAll('.recents-filter-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.filter === recentsFilter) return;
+      document.querySelectorAll('.recents-filter-btn').forEach(b => b.classList.toggle('active', b === btn));
+      recentsFilter = btn.dataset.filter;
+      allRecentChats = [];
+      recentsCursor = null;
+      loadRecentChats();
+    });
+  });
+
+  // ── Folders ──
+  // Single-line text input modal; window.prompt() is not available in Electron
+  function promptText(title, { label = '', value = '', placeholder = '' } = {}) {
+    const modal = document.getElementById('text-prompt-modal');
+    const input = document.getElementById('text-prompt-input');
+    const okBtn = document.getElementById('text-prompt-ok');
+    const cancelBtn = document.getElementById('text-prompt-cancel');
+    document.getElementById('text-prompt-title').textContent = title;
+    document.getElementById('text-prompt-label').textContent = label;
+    input.value = value;
+    input.placeholder = placeholder;
+    modal.classList.add('open');
+    input.focus();
+    input.select();
+
+    return new Promise(resolve => {
+      const finish = (result) => {
+        modal.classList.remove('open');
+        okBtn.removeEventListener('click', onOk);
+        cancelBtn.removeEventListener('click', onCancel);
+        input.removeEventListener('keydown', onKey);
+        modal.removeEventListener('click', onBackdrop);
+        resolve(result);
+      };
+      const onOk = () => finish(input.value);
+      const onCancel = () => finish(null);
+      const onKey = (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); onOk(); }
+        if (e.key === 'Escape') { e.stopPropagation(); onCancel(); }
+      };
+      const onBackdrop = (e) => { if (e.target === modal) onCancel(); };
+      okBtn.addEventListener('click', onOk);
+      cancelBtn.addEventListener('click', onCancel);
+      input.addEventListener('keydown', onKey);
+      modal.addEventListener('click', onBackdrop);
+    });
+  }
+
+  const CONVERSATION_DRAG_TYPE = 'application/x-inception-conversation';
+
+  function setRecentsFolder(folderId) {
+    if (folderId === recentsFolderId) return;
+    recentsFolderId = folderId;
+    allRecentChats = [];
+    recentsCursor = null;
+    loadRecentChats();
+  }
+
+  // Folder rows double as drop targets for conversations dragged from the list
+  function makeFolderDropTarget(el, folderId) {
+    el.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes(CONVERSATION_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      el.classList.add('drop-target');
+    });
+    el.addEventListener('dragleave', () => el.classList.remove('drop-target'));
+    el.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      el.classList.remove('drop-target');
+      const conversationId = parseInt(e.dataTransfer.getData(CONVERSATION_DRAG_TYPE), 10);
+      if (!conversationId || !window.electronAPI) return;
+      await window.electronAPI.moveConversationToFolder(conversationId, folderId);
+      loadRecentChats();
+    });
+  }
+
+  async function loadFolders() {
+    const foldersList = document.getElementById('folders-list');
+    if (!foldersList || !window.electronAPI) return;
+    let folders = [];
+    try { folders = await window.electronAPI.getFolders(); } catch (err) {
+      console.error('Failed to load folders:', err);
+    }
+    // The folder being viewed may have been deleted
+    if (recentsFolderId && !folders.some(f => f.id === recentsFolderId)) recentsFolderId = null;
+
+    foldersList.innerHTML = '';
+    const allItem = document.createElement('div');
+    allItem.className = 'folder-item' + (recentsFolderId === null ? ' active' : '');
+    allItem.title = 'Show all chats (drop a chat here to remove it from its folder)';
+    allItem.textContent = 'All chats';
+    allItem.addEventListener('click', () => setRecentsFolder(null));
+    makeFolderDropTarget(allItem, null);
+    foldersList.appendChild(allItem);
+
+    folders.forEach(folder => {
+      const item = document.createElement('div');
+      item.className = 'folder-item' + (folder.id === recentsFolderId ? ' active' : '');
+      item.dataset.folderId = folder.id;
+
+      const nameEl = document.createElement('span');
+      nameEl.className = 'folder-name';
+      nameEl.textContent = folder.name;
+      const countEl = document.createElement('span');
+      countEl.className = 'folder-count';
+      countEl.textContent = folder.conversation_count || '';
+
+      const actionsEl = document.createElement('div');
+      actionsEl.className = 'folder-actions';
+      const renameBtn = document.createElement('button');
+      renameBtn.className = 'recent-chat-action-btn';
+      renameBtn.title = 'Rename folder';
+      renameBtn.textContent = '\u270e';
+      renameBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const name = await promptText('Rename Folder', { label: 'Folder name', value: folder.name });
+        if (!name || !name.trim() || name.trim() === folder.name) return;
+        if (!(await window.electronAPI.renameFolder(folder.id, name))) {
+          showWarning('Rename Failed', `A folder named "${name.trim()}" already exists.`);
+        }
+        loadFolders();
+      });
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'recent-chat-action-btn delete-chat-btn';
+      deleteBtn.title = 'Delete folder (chats are kept)';
+      deleteBtn.textContent = '\u00d7';
+      deleteBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await window.electronAPI.deleteFolder(folder.id);
+        if (recentsFolderId === folder.id) setRecentsFolder(null);
+        else loadRecentChats();
+      });
+      actionsEl.appendChild(renameBtn);
+      actionsEl.appendChild(deleteBtn);
+
+      item.appendChild(nameEl);
+      item.appendChild(countEl);
+      item.appendChild(actionsEl);
+      item.addEventListener('click', () => setRecentsFolder(folder.id));
+      makeFolderDropTarget(item, folder.id);
+      foldersList.appendChild(item);
+    });
+  }
+
+  document.getElementById('new-folder-btn')?.addEventListener('click', async () => {
+    if (!window.electronAPI) return;
+    const name = await promptText('New Folder', { label: 'Folder name', placeholder: 'e.g. Work' });
+    if (!name || !name.trim()) return;
+    const folderId = await window.electronAPI.createFolder(name);
+    if (folderId) setRecentsFolder(folderId);
+  });
+
+  // ── Trash ──
+  const UNDO_TOAST_MS = 6000;
+  let undoToastTimer = null;
+
+  function showUndoToast(message, onUndo) {
+    const toast = document.getElementById('undo-toast');
+    if (!toast) return;
+    document.getElementById('undo-toast-message').textContent = message;
+    const undoBtn = document.getElementById('undo-toast-btn');
+    // Replace the button so a stale toast's undo handler can't fire
+    const freshBtn = undoBtn.cloneNode(true);
+    undoBtn.replaceWith(freshBtn);
+    const hide = () => {
+      clearTimeout(undoToastTimer);
+      toast.classList.remove('visible');
+    };
+    freshBtn.addEventListener('click', async () => {
+      hide();
+      await onUndo();
+    });
+    clearTimeout(undoToastTimer);
+    toast.classList.add('visible');
+    undoToastTimer = setTimeout(hide, UNDO_TOAST_MS);
+  }
+
+  async function trashConversation(chat) {
+    await window.electronAPI.deleteConversation(chat.id);
+    if (chat.id === currentConversationId) startNewChat();
+    showUndoToast(`"${chat.title || 'New Chat'}" moved to Trash`, async () => {
+      await window.electronAPI.restoreConversation(chat.id);
+      loadRecentChats();
+    });
+  }
+
+  async function renderTrashHeader(recentsContainer) {
+    let retentionDays = 30;
+    try { retentionDays = (await window.electronAPI.loadSettings())?.trashRetentionDays ?? 30; } catch (e) {}
+    // The list may have been re-rendered while settings loaded
+    if (recentsFilter !== 'trash' || recentsContainer.querySelector('.trash-header')) return;
+    const header = document.createElement('div');
+    header.className = 'trash-header';
+    const note = document.createElement('span');
+    note.textContent = retentionDays
+      ? `Deleted after ${retentionDays} days`
+      : 'Kept until you empty the trash';
+    const emptyBtn = document.createElement('button');
+    emptyBtn.className = 'trash-empty-btn';
+    emptyBtn.textContent = 'Empty Trash';
+    emptyBtn.addEventListener('click', async () => {
+      const answer = await promptText('Empty Trash', {
+        label: 'This permanently deletes every chat in the trash. Type DELETE to confirm.',
+        placeholder: 'DELETE'
+      });
+      if (answer === null || answer.trim().toUpperCase() !== 'DELETE') return;
+      await window.electronAPI.emptyTrash();
+      loadRecentChats();
+    });
+    header.appendChild(note);
+    header.appendChild(emptyBtn);
+    recentsContainer.prepend(header);
+  }
+
+  // Clicking a tag chip searches for every chat with that tag
+  function searchByTag(tag) {
+    const input = document.getElementById('chat-search');
+    if (!input) return;
+    input.value = `tag:${tag}`;
+    input.dispatchEvent(new Event('input'));
+  }
+
+  // Snippets arrive with \u0002/\u0003 around matched terms; build <mark>s from
+  // text nodes so message content is never interpreted as HTML
+  function renderSnippet(el, snippet) {
+    snippet.split('\u0002').forEach((part, i) => {
+      if (i === 0) { el.appendChild(document.createTextNode(part)); return; }
+      const [matched, rest = ''] = part.split('\u0003');
+      const mark = document.createElement('mark');
+      mark.textContent = matched;
+      el.appendChild(mark);
+      el.appendChild(document.createTextNode(rest));
+    });
+  }
+
+  let searchSeq = 0;
+  async function runSearch(query) {
+    const seq = ++searchSeq;
+    let results = [];
+    try { results = await window.electronAPI.search(query); } catch (err) {
+      console.error('Search failed:', err);
+    }
+    // Drop stale responses that resolve after a newer keystroke
+    if (seq === searchSeq) displaySearchResults(results);
+  }
+
+  function displaySearchResults(results) {
     const recentsContainer = document.getElementById('recents-list');
     if (!recentsContainer) return;
     recentsContainer.innerHTML = '';
-    if (!chats || chats.length === 0) {
-      recentsContainer.innerHTML = '<div style="padding: 12px 20px; color: #b0b3c0; font-size: 0.9em;">No recent chats</div>';
+    if (!results || results.length === 0) {
+      recentsContainer.innerHTML = '<div style="padding: 12px 20px; color: #b0b3c0; font-size: 0.9em;">No matches</div>';
       return;
     }
+    results.forEach(result => {
+      const item = document.createElement('div');
+      item.className = 'recent-chat-item search-result-item';
+      item.dataset.conversationId = result.conversation_id;
+
+      const titleEl = document.createElement('div');
+      titleEl.className = 'recent-chat-title';
+      titleEl.textContent = result.title || 'New Chat';
+      item.appendChild(titleEl);
+
+      if (result.snippet) {
+        const snippetEl = document.createElement('div');
+        snippetEl.className = 'search-result-snippet';
+        renderSnippet(snippetEl, result.snippet);
+        item.appendChild(snippetEl);
+      }
+
+      const metaEl = document.createElement('div');
+      metaEl.className = 'recent-chat-date';
+      const metaParts = [parseDbDate(result.updated_at).toLocaleDateString()];
+      if (result.match_count > 1) metaParts.push(`${result.match_count} matches`);
+      if (result.archived) metaParts.push('Archived');
+      metaEl.textContent = metaParts.join(' \u00b7 ');
+      item.appendChild(metaEl);
+
+      item.addEventListener('click', () => loadConversation(result.conversation_id, result.title, { focusMessageId: result.message_id }));
+      recentsContainer.appendChild(item);
+    });
+  }
+
+  function displayRecentChats(chats, { append = false } = {}) {
+    const recentsContainer = document.getElementById('recents-list');
+    if (!recentsContainer) return;
+    if (!append) {
+      recentsContainer.innerHTML = '';
+      delete recentsContainer.dataset.lastGroup;
+      if (!chats || chats.length === 0) {
+        const empty = document.createElement('div');
+        empty.style.cssText = 'padding: 12px 20px; color: #b0b3c0; font-size: 0.9em;';
+        empty.textContent = RECENTS_EMPTY_TEXT[recentsFilter] || RECENTS_EMPTY_TEXT.all;
+        recentsContainer.appendChild(empty);
+        return;
+      }
+      if (recentsFilter === 'trash') renderTrashHeader(recentsContainer);
+    }
     chats.forEach(chat => {
+      const trashed = !!chat.deleted_at;
+      const updatedAt = parseDbDate(trashed ? chat.deleted_at : chat.updated_at);
+      const dateGroup = recentGroupLabel(updatedAt);
+      const group = chat.pinned && !chat.archived && !trashed ? 'Pinned' : dateGroup;
+      if (group !== recentsContainer.dataset.lastGroup) {
+        const header = document.createElement('div');
+        header.className = 'recents-group-header';
+        header.textContent = group;
+        recentsContainer.appendChild(header);
+        recentsContainer.dataset.lastGroup = group;
+      }
+
       const chatItem = document.createElement('div');
       chatItem.className = 'recent-chat-item';
       chatItem.dataset.conversationId = chat.id;
@@ -708,49 +1854,134 @@ document.addEventListener('DOMContentLoaded', () => {
           ? (chat.first_message.length > 40 ? chat.first_message.substring(0, 40) + '...' : chat.first_message)
           : 'New Chat');
 
-      const date = new Date(chat.updated_at).toLocaleDateString();
+      const date = dateGroup === 'Today'
+        ? updatedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : updatedAt.toLocaleDateString();
 
       const titleEl = document.createElement('div');
       titleEl.className = 'recent-chat-title';
-      titleEl.textContent = title;
+      if (chat.starred) {
+        const star = document.createElement('span');
+        star.className = 'recent-chat-star';
+        star.textContent = '\u2605';
+        titleEl.appendChild(star);
+      }
+      titleEl.appendChild(document.createTextNode(title));
       const dateEl = document.createElement('div');
       dateEl.className = 'recent-chat-date';
-      dateEl.textContent = date;
-
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'delete-chat-btn';
-      deleteBtn.title = 'Delete conversation';
-      deleteBtn.textContent = '\u00d7';
-      deleteBtn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        if (!window.electronAPI) return;
-        await window.electronAPI.deleteConversation(chat.id);
-        loadRecentChats();
+      dateEl.textContent = trashed ? `Deleted ${date}` : date;
+      (chat.tags || []).forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = `#${tag}`;
+        chip.title = `Show chats tagged ${tag}`;
+        chip.addEventListener('click', (e) => {
+          e.stopPropagation();
+          searchByTag(tag);
+        });
+        dateEl.appendChild(chip);
       });
 
+      const makeAction = (className, label, html, action) => {
+        const btn = document.createElement('button');
+        btn.className = `recent-chat-action-btn ${className}`;
+        btn.title = label;
+        btn.innerHTML = html;
+        btn.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          if (!window.electronAPI) return;
+          await action();
+          loadRecentChats();
+        });
+        return btn;
+      };
+
+      const actionsEl = document.createElement('div');
+      actionsEl.className = 'recent-chat-actions';
+      if (trashed) {
+        actionsEl.appendChild(makeAction('restore-chat-btn', 'Restore', '\u21ba',
+          () => window.electronAPI.restoreConversation(chat.id)));
+        actionsEl.appendChild(makeAction('delete-chat-btn', 'Delete forever', '\u00d7', async () => {
+          await window.electronAPI.purgeConversation(chat.id);
+          if (chat.id === currentConversationId) startNewChat();
+        }));
+        chatItem.appendChild(titleEl);
+        chatItem.appendChild(dateEl);
+        chatItem.appendChild(actionsEl);
+        chatItem.addEventListener('click', () => loadConversation(chat.id, chat.title));
+        recentsContainer.appendChild(chatItem);
+        return;
+      }
+      actionsEl.appendChild(makeAction('star-chat-btn', chat.starred ? 'Unstar' : 'Star', chat.starred ? '\u2605' : '\u2606',
+        () => window.electronAPI.starConversation(chat.id, !chat.starred)));
+      if (!chat.archived) {
+        actionsEl.appendChild(makeAction('pin-chat-btn', chat.pinned ? 'Unpin' : 'Pin to top',
+          '<svg viewBox="0 0 24 24" width="12" height="12"><path d="M16 9V4h1V2H7v2h1v5c0 1.66-1.34 3-3 3v2h5.97v7l1 1 1-1v-7H19v-2c-1.66 0-3-1.34-3-3z"/></svg>',
+          () => window.electronAPI.pinConversation(chat.id, !chat.pinned)));
+      }
+      actionsEl.appendChild(makeAction('tag-chat-btn', 'Edit tags', '#', async () => {
+        const input = await promptText('Edit Tags', {
+          label: 'Comma-separated tags',
+          value: (chat.tags || []).join(', '),
+          placeholder: 'e.g. work, ideas'
+        });
+        if (input === null) return;
+        await window.electronAPI.setConversationTags(chat.id, input.split(','));
+      }));
+      actionsEl.appendChild(makeAction('archive-chat-btn', chat.archived ? 'Unarchive' : 'Archive',
+        '<svg viewBox="0 0 24 24" width="12" height="12"><path d="M20.54 5.23l-1.39-1.68C18.88 3.21 18.47 3 18 3H6c-.47 0-.88.21-1.16.55L3.46 5.23C3.17 5.57 3 6.02 3 6.5V19c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V6.5c0-.48-.17-.93-.46-1.27zM12 17.5L6.5 12H10v-2h4v2h3.5L12 17.5zM5.12 5l.81-1h12l.94 1H5.12z"/></svg>',
+        () => window.electronAPI.archiveConversation(chat.id, !chat.archived)));
+      actionsEl.appendChild(makeAction('delete-chat-btn', 'Move to Trash', '\u00d7', () => trashConversation(chat)));
+      if (chat.pinned) chatItem.classList.add('pinned');
+
       chatItem.appendChild(titleEl);
       chatItem.appendChild(dateEl);
-      chatItem.appendChild(deleteBtn);
+      chatItem.appendChild(actionsEl);
+      chatItem.draggable = true;
+      chatItem.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(CONVERSATION_DRAG_TYPE, String(chat.id));
+        e.dataTransfer.effectAllowed = 'move';
+      });
       chatItem.addEventListener('click', () => loadConversation(chat.id, chat.title));
       recentsContainer.appendChild(chatItem);
     });
+    // A tall sidebar may show the whole first page without ever scrolling
+    setTimeout(maybeLoadMoreRecents, 0);
   }
 
-  async function loadConversation(conversationId, conversationTitle) {
+  async function loadConversation(conversationId, conversationTitle, { focusMessageId = null, highlight = true } = {}) {
     if (!window.electronAPI) return;
     try {
-      const messages = await window.electronAPI.getConversationMessages(conversationId);
+      let messages = await window.electronAPI.getConversationMessages(conversationId);
+      // A search hit may live on a branch that isn't the active one
+      if (focusMessageId && !messages.some(m => m.id === focusMessageId)) {
+        if (await window.electronAPI.setActiveBranch(conversationId, focusMessageId)) {
+          messages = await window.electronAPI.getConversationMessages(conversationId);
+        }
+      }
+      const conversation = await window.electronAPI.getConversation(conversationId);
       hideWelcome();
       resultsDiv.innerHTML = '';
-      conversationHistory = messages.map(m => ({ role: m.role, content: m.content }));
+      showProvider(conversation?.provider);
+      showSampling(conversation?.sampling_params);
+      conversationHistory = messages.map(m => ({ role: m.role, content: m.content, reasoning: m.reasoning || null }));
+      currentConversationId = conversationId;
+      currentLeafId = messages.length ? messages[messages.length - 1].id : null;
+      pendingSiblingIds = [];
       setConversationTitle(conversationTitle || '');
 
       let firstRow = null;
+      let focusRow = null;
       for (let i = 0; i < messages.length; i++) {
         const message = messages[i];
-        const row = createMessageElement(message.role, marked.parse(message.content), message.content);
+        const row = createMessageElement(message.role, marked.parse(message.content), message.content, null, message.reasoning, message.tool_calls);
         row.dataset.historyIndex = i;
+        row.dataset.messageId = message.id;
+        if (message.parent_id) row.dataset.parentId = message.parent_id;
+        setBranchNav(row, message.sibling_ids || [message.id]);
+        if (message.role === 'assistant') appendGenerationMeta(row, generationMetaFromRow(message));
         if (!firstRow) firstRow = row;
+        if (focusMessageId && message.id === focusMessageId) focusRow = row;
         resultsDiv.appendChild(row);
         await postProcess(row.querySelector('.message-bubble'));
       }
@@ -759,8 +1990,19 @@ document.addEventListener('DOMContentLoaded', () => {
         attachRegenerateButton();
       }
 
+      const lastWithUsage = [...messages].reverse().find(m => m.prompt_tokens != null || m.completion_tokens != null);
+      if (lastWithUsage) updateContextBar({ prompt_tokens: lastWithUsage.prompt_tokens, completion_tokens: lastWithUsage.completion_tokens });
+
       setTimeout(() => {
-        if (firstRow) firstRow.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        if (focusRow) {
+          focusRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          if (highlight) {
+            focusRow.classList.add('search-hit');
+            setTimeout(() => focusRow.classList.remove('search-hit'), 2000);
+          }
+        } else if (firstRow) {
+          firstRow.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
       }, 0);
     } catch (err) {
       console.error('Failed to load conversation:', err);
@@ -773,15 +2015,15 @@ document.addEventListener('DOMContentLoaded', () => {
     if (isGenerating) return;
     const userMsg = chatInput.value.trim();
     if (!userMsg) return;
-
-    let settings = {};
-    if (window.electronAPI) {
-      try { settings = await window.electronAPI.loadSettings(); } catch (err) {}
+    if (undecidedReplies?.isConnected) {
+      showWarning('Keep a Reply First', 'Choose which of the replies to keep before sending another message.');
+      return;
     }
-    const hasInceptionKey = settings.apiKey?.trim();
-    const hasOpenRouterKey = settings.openRouterApiKey?.trim();
 
-    if (!hasInceptionKey && !hasOpenRouterKey) {
+    // Keys may have been added or removed in settings since the menu was filled
+    await refreshProviders();
+    const provider = providerOptions.find(p => p.id === currentProvider);
+    if (provider && !provider.ready) {
       const errBox = document.createElement('div');
       errBox.style.cssText = 'padding:20px;margin:20px 0;background:#2d1b1b;border:1px solid #dc3545;border-radius:8px;color:#f8d7da;';
       const heading = document.createElement('h3');
@@ -789,7 +2031,7 @@ document.addEventListener('DOMContentLoaded', () => {
       heading.textContent = '\u26a0\ufe0f API Key Required';
       const p1 = document.createElement('p');
       p1.style.margin = '0';
-      p1.textContent = 'Please set an Inception Labs or OpenRouter API key in the settings before making requests.';
+      p1.textContent = `Please set an ${provider.name} API key in the settings, or choose another provider for this chat.`;
       const p2 = document.createElement('p');
       p2.style.cssText = 'margin:10px 0 0 0;font-size:0.9em;opacity:0.8;';
       p2.textContent = 'Click the settings button (\u2699\ufe0f) at the bottom to configure your API key.';
@@ -819,23 +2061,52 @@ document.addEventListener('DOMContentLoaded', () => {
 
     if (window.electronAPI) {
       try {
-        await window.electronAPI.saveMessage('user', userMsg);
+        if (!currentConversationId) {
+          const title = userMsg.length > 50 ? userMsg.substring(0, 50) + '...' : userMsg;
+          currentConversationId = await window.electronAPI.createConversation(title);
+          if (currentConversationId) {
+            await window.electronAPI.setConversationProvider(currentConversationId, currentProvider);
+            if (Object.keys(currentSampling).length) await window.electronAPI.setConversationSampling(currentConversationId, currentSampling);
+          }
+        }
+        if (currentConversationId) {
+          // Writing to a chat opened from the Trash brings it back out
+          if ((await window.electronAPI.getConversation(currentConversationId))?.deleted_at) {
+            await window.electronAPI.restoreConversation(currentConversationId);
+          }
+          const parentId = currentLeafId;
+          const messageId = await window.electronAPI.saveMessage(currentConversationId, 'user', userMsg, parentId);
+          if (messageId) {
+            userRow.dataset.messageId = messageId;
+            if (parentId) userRow.dataset.parentId = parentId;
+            setBranchNav(userRow, [...pendingSiblingIds, messageId]);
+            currentLeafId = messageId;
+          }
+        }
         setTimeout(loadRecentChats, 100);
       } catch (err) {}
     }
 
+    pendingSiblingIds = [];
     showTypingIndicator();
     setTimeout(() => userRow.scrollIntoView({ behavior: 'smooth', block: 'start' }), 0);
-    await runRequest();
+    await runReply();
   });
 
   // ── Stop button ──
   if (stopBtn) {
     stopBtn.addEventListener('click', () => {
-      if (currentAbortController) currentAbortController.abort();
+      abortCurrentRequests();
     });
   }
 
+  // ── Branch navigation (delegated) ──
+  resultsDiv.addEventListener('click', (e) => {
+    const navBtn = e.target.closest('.branch-nav-btn');
+    if (!navBtn || !navBtn.dataset.targetId) return;
+    switchBranch(Number(navBtn.dataset.targetId));
+  });
+
   // ── Edit button (delegated) ──
   resultsDiv.addEventListener('click', (e) => {
     const editBtn = e.target.closest('.edit-btn');
@@ -848,7 +2119,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const rowIdx = allRows.indexOf(row);
     if (rowIdx !== -1) allRows.slice(rowIdx).forEach(r => r.remove());
     if (!isNaN(historyIndex)) conversationHistory = conversationHistory.slice(0, historyIndex);
-    if (window.electronAPI) window.electronAPI.newChat().catch(() => {});
+    // The original stays in the database; the edited text is saved as its sibling
+    if (row.dataset.messageId) {
+      currentLeafId = row.dataset.parentId ? Number(row.dataset.parentId) : null;
+      pendingSiblingIds = parseIdList(row.dataset.siblingIds);
+    }
     chatInput.value = rawContent;
     autoGrow();
     chatInput.focus();
@@ -857,11 +2132,16 @@ document.addEventListener('DOMContentLoaded', () => {
   // ── Search ──
   const searchInput = document.getElementById('chat-search');
   if (searchInput) {
+    let searchTimer = null;
     searchInput.addEventListener('input', () => {
-      const val = searchInput.value.toLowerCase().trim();
-      displayRecentChats(val ? allRecentChats.filter(c =>
-        (c.title || c.first_message || '').toLowerCase().includes(val)
-      ) : allRecentChats);
+      clearTimeout(searchTimer);
+      const val = searchInput.value.trim();
+      if (!val || !window.electronAPI) {
+        searchSeq++;
+        displayRecentChats(allRecentChats);
+        return;
+      }
+      searchTimer = setTimeout(() => runSearch(val), 150);
     });
   }
 });
@@ -0,0 +1,280 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2025 Tim Tully
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+// Built-in tools the model can call. They run in the main process and are
+// sandboxed: the calculator parses its own grammar instead of evaluating
+// code, and files are only read after the user approves them.
+
+const fs = require('fs').promises;
+
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+const CALC_FUNCTIONS = {
+  sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan,
+  asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+  log: Math.log10, ln: Math.log, log2: Math.log2, exp: Math.exp,
+  floor: Math.floor, ceil: Math.ceil, round: Math.round, trunc: Math.trunc,
+  min: Math.min, max: Math.max, pow: Math.pow
+};
+const CALC_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+  let index = 0;
+  while (index < expression.length) {
+    if (/^\s*$/.test(expression.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) throw new ToolError(`Unexpected character "${expression.slice(index).trim()[0]}"`);
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+// Recursive descent over: expr = term (+|- term)*, term = unary (*|/|% unary)*,
+// unary = -unary | power, power = primary (^ unary)?  (right associative)
+function evaluateExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) throw new ToolError('Expression is empty.');
+  if (expression.length > MAX_EXPRESSION_LENGTH) throw new ToolError('Expression is too long.');
+  const tokens = tokenize(expression);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new ToolError(`Expected "${value}"`);
+    pos++;
+  };
+
+  function parseExpr() {
+    let value = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value;
+      const rhs = parseTerm();
+      value = op === '+' ? value + rhs : value - rhs;
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[pos++].value;
+      const rhs = parseUnary();
+      value = op === '*' ? value * rhs : op === '/' ? value / rhs : value % rhs;
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (isOp('-')) { pos++; return -parseUnary(); }
+    if (isOp('+')) { pos++; return parseUnary(); }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      pos++;
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (!token) throw new ToolError('Unexpected end of expression');
+    if (token.type === 'number') return token.value;
+    if (token.type === 'name') {
+      if (Object.hasOwn(CALC_CONSTANTS, token.value) && !isOp('(')) return CALC_CONSTANTS[token.value];
+      if (!Object.hasOwn(CALC_FUNCTIONS, token.value)) throw new ToolError(`Unknown name "${token.value}"`);
+      expect('(');
+      const args = [parseExpr()];
+      while (isOp(',')) { pos++; args.push(parseExpr()); }
+      expect(')');
+      return CALC_FUNCTIONS[token.value](...args);
+    }
+    if (token.value === '(') {
+      const value = parseExpr();
+      expect(')');
+      return value;
+    }
+    throw new ToolError(`Unexpected "${token.value}"`);
+  }
+
+  const result = parseExpr();
+  if (pos < tokens.length) throw new ToolError(`Unexpected "${tokens[pos].value}"`);
+  if (!Number.isFinite(result)) throw new ToolError('Result is not a finite number.');
+  return result;
+}
+
+function currentTime(timezone) {
+  const now = new Date();
+  let zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (timezone !== undefined && timezone !== null && timezone !== '') {
+    if (typeof timezone !== 'string') throw new ToolError('timezone must be a string.');
+    try {
+      zone = new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+    } catch {
+      throw new ToolError(`Unknown time zone "${timezone}"`);
+    }
+  }
+  return {
+    iso: now.toISOString(),
+    local: now.toLocaleString('en-US', { timeZone: zone, dateStyle: 'full', timeStyle: 'long' }),
+    timezone: zone,
+    unix: Math.floor(now.getTime() / 1000)
+  };
+}
+
+const DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'calculator',
+      description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and the functions sqrt, cbrt, abs, sin, cos, tan, asin, acos, atan, atan2, log (base 10), ln, log2, exp, floor, ceil, round, trunc, min, max, pow. Angles are in radians.',
+      parameters: {
+        type: 'object',
+        properties: { expression: { type: 'string', description: 'The expression, e.g. "sqrt(2) * (3 + 4)^2"' } },
+        required: ['expression']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'current_time',
+      description: 'Get the current date and time, in the user\'s time zone unless another IANA time zone is given.',
+      parameters: {
+        type: 'object',
+        properties: { timezone: { type: 'string', description: 'Optional IANA time zone, e.g. "Europe/Paris"' } }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read a UTF-8 text file from the user\'s computer. The user is asked to approve the file (or pick one) before it is read, so explain why you need it.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Suggested file path, if known. The user may choose a different file.' },
+          reason: { type: 'string', description: 'Why the file is needed, shown to the user' }
+        },
+        required: ['reason']
+      }
+    }
+  }
+];
+
+// approveFileRead({ path, reason }) asks the user and resolves to the
+// approved absolute path, or null if they declined.
+function createBuiltinTools({ approveFileRead }) {
+  async function readFile(args) {
+    const suggested = typeof args.path === 'string' ? args.path.substring(0, 1000) : '';
+    const reason = typeof args.reason === 'string' ? args.reason.substring(0, 500) : '';
+    const approvedPath = await approveFileRead({ path: suggested, reason });
+    if (!approvedPath) throw new ToolError('The user declined to share a file.');
+    const stats = await fs.stat(approvedPath);
+    if (!stats.isFile()) throw new ToolError('Not a regular file.');
+    if (stats.size > MAX_FILE_BYTES) throw new ToolError(`File is larger than ${MAX_FILE_BYTES / 1024} KB.`);
+    const buffer = await fs.readFile(approvedPath);
+    if (buffer.includes(0)) throw new ToolError('File appears to be binary.');
+    return { path: approvedPath, content: buffer.toString('utf8') };
+  }
+
+  const handlers = {
+    calculator: (args) => ({ result: evaluateExpression(args.expression) }),
+    current_time: (args) => currentTime(args.timezone),
+    read_file: readFile
+  };
+
+  function definitions() {
+    return DEFINITIONS;
+  }
+
+  function has(name) {
+    return Object.hasOwn(handlers, name);
+  }
+
+  // Runs a tool with the model's JSON arguments. Failures are returned as
+  // { error } so the model can see them and recover.
+  async function run(name, argsJson) {
+    if (!has(name)) return { error: `Unknown tool "${name}"` };
+    let args;
+    try {
+      args = argsJson ? JSON.parse(argsJson) : {};
+    } catch {
+      return { error: 'Arguments are not valid JSON.' };
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) return { error: 'Arguments must be a JSON object.' };
+    try {
+      return { result: await handlers[name](args) };
+    } catch (err) {
+      return { error: err instanceof ToolError ? err.message : `${name} failed: ${err.message}` };
+    }
+  }
+
+  return { definitions, has, run };
+}
+
+// Presents several tool sources (the built-ins, MCP servers) as one. A name
+// offered by more than one source goes to the first.
+function combineTools(...sources) {
+  const sourceFor = (name) => sources.find((source) => source.has(name));
+  return {
+    async definitions() {
+      const seen = new Set();
+      const all = [];
+      for (const source of sources) {
+        for (const definition of await source.definitions()) {
+          if (seen.has(definition.function.name)) continue;
+          seen.add(definition.function.name);
+          all.push(definition);
+        }
+      }
+      return all;
+    },
+    needsApproval: (name) => !!sourceFor(name)?.needsApproval?.(name),
+    run(name, argsJson, options) {
+      const source = sourceFor(name);
+      return source ? source.run(name, argsJson, options) : Promise.resolve({ error: `Unknown tool "${name}"` });
+    }
+  };
+}
+
+module.exports = { createBuiltinTools, combineTools, evaluateExpression };